@@ -211,7 +211,7 @@
 
              const evt = Object.create(null);
 
-             ['type', 'bubbles', 'cancelable', 'defaultPrevented', 'eventPhase', 'isTrusted', 'timeStamp', 'shiftKey', 'ctrlKey', 'altKey', 'metaKey'].forEach(prop => {
+             ['type', 'bubbles', 'cancelable', 'defaultPrevented', 'eventPhase', 'isTrusted', 'timeStamp', 'shiftKey', 'ctrlKey', 'altKey', 'metaKey', 'key', 'code', 'button', 'clientX', 'clientY'].forEach(prop => {
                  Object.defineProperty(evt, prop, {
                      get() { return e[prop]; },
                      enumerable: true,
@@ -233,6 +233,24 @@
          return () => root.removeEventListener(eventName, listener, options);
      }
 
+    /**
+     * Normalize the `search.normalize` option into folding flags.
+     *   - undefined / false → case folding only (historical behaviour)
+     *   - true              → accents + case + whitespace
+     *   - { accents, case, whitespace } → each flag defaults to true
+     * @param {boolean|Object} opt
+     * @returns {{accents:boolean, case:boolean, whitespace:boolean}}
+     */
+    function _normalizeSearchFolding(opt) {
+        if (opt === true) return { accents: true, case: true, whitespace: true };
+        if (!isPlainObject(opt)) return { accents: false, case: true, whitespace: false };
+        return {
+            accents: opt.accents !== false,
+            case: opt.case !== false,
+            whitespace: opt.whitespace !== false
+        };
+    }
+
      /**
      * Normalize defaultSort option into an array of { key, dir } objects.
      *
@@ -354,6 +372,639 @@
         return el;
     }
 
+    /**
+     * Copy whitelisted column style props (e.g. width, textAlign) onto an element.
+     * Accepts camelCase or kebab-case names in the whitelist.
+     */
+    function _dtApplyColumnStyleProps(col, el, props) {
+        props.forEach((p) => {
+            const v = col[p];
+            if (v == null || v === '') return;
+            const jsProp = p.includes('-') ? p.replace(/-([a-z])/g, (_, c) => c.toUpperCase()) : p;
+            try {
+                el.style[jsProp] = String(v);
+            } catch (e) {
+                // ignore invalid style assignment
+            }
+        });
+    }
+
+    /**
+     * Walk the cells of table rows with their grid column index, accounting for cells spanning
+     * several rows (merged group columns) or columns.
+     * @param {HTMLCollection|Array<HTMLTableRowElement>} rows
+     * @param {function(HTMLTableCellElement, number, number)} fn (cell, columnIndex, colSpan)
+     */
+    function _dtForEachGridCell(rows, fn) {
+        var busyUntil = []; // last row index occupied by a rowspan, per column
+        Array.prototype.forEach.call(rows, function (tr, r) {
+            var col = 0;
+            Array.prototype.forEach.call(tr.cells, function (cell) {
+                while (busyUntil[col] >= r) col++;
+                var colSpan = cell.colSpan || 1;
+                var rowSpan = cell.rowSpan || 1;
+                fn(cell, col, colSpan);
+                for (var k = 0; k < colSpan; k++) busyUntil[col + k] = r + rowSpan - 1;
+                col += colSpan;
+            });
+        });
+    }
+
+    const AGGREGATE_SCOPES = ['page', 'filtered', 'all'];
+
+    /**
+     * Aggregator function from a name of TinyDataTable.aggregators ('sum', 'avg', ...) or a function.
+     */
+    function _dtResolveAggregator(def) {
+        if (typeof def === 'function') return def;
+        return TinyDataTable.aggregators?.[String(def)];
+    }
+
+    /**
+     * Normalize a (transformed) stream message to { snapshot, upsert, delete }; null when there is nothing to apply.
+     * An array is a full snapshot.
+     */
+    function _dtNormalizeStreamMessage(message) {
+        if (Array.isArray(message)) return { snapshot: message, upsert: [], delete: [] };
+        if (!message || typeof message !== 'object') return null;
+
+        var snapshot = Array.isArray(message.snapshot) ? message.snapshot : null;
+        var upsert = Array.isArray(message.upsert) ? message.upsert : [];
+        var del = Array.isArray(message.delete) ? message.delete : [];
+        if (!snapshot && !upsert.length && !del.length) return null;
+
+        return { snapshot: snapshot, upsert: upsert, delete: del };
+    }
+
+    /**
+     * Stable (non-enumerable, read-only) position of a row in the data it was loaded with.
+     */
+    function _dtDefineRowIndex(row, index) {
+        Object.defineProperty(row, '__dt_index', {
+            value: index,
+            enumerable: false,
+            configurable: false,
+            writable: false
+        });
+    }
+
+    /**
+     * Content of a body cell without the search highlight marks (compares a rendered cell with a fresh one;
+     * attributes are left out as the layout passes add their own: tabindex, frozen column offsets).
+     */
+    function _dtCellSignature(td) {
+        if (!td.querySelector('mark')) return td.innerHTML;
+        var clone = td.cloneNode(true);
+        clone.querySelectorAll('mark').forEach(function (mark) {
+            mark.replaceWith.apply(mark, Array.prototype.slice.call(mark.childNodes));
+        });
+        return clone.innerHTML;
+    }
+
+    /**
+     * Normalize the pivot option: { enabled, rows: [keys], columns: [keys],
+     * values: [{ key, aggregator, title, type, render }], totals: { rows, columns } }.
+     */
+    function _dtNormalizePivot(pivotOpt) {
+        var opt = pivotOpt || {};
+        var toKeys = function (v) {
+            return (Array.isArray(v) ? v : (v ? [v] : [])).filter(function (k) { return typeof k === 'string' && k; });
+        };
+        var values = (Array.isArray(opt.values) ? opt.values : (opt.values ? [opt.values] : [])).map(function (v) {
+            return typeof v === 'string' ? { key: v } : v;
+        }).filter(function (v) {
+            return v && v.key;
+        }).map(function (v) {
+            return {
+                key: v.key,
+                aggregator: v.aggregator || opt.aggregator || 'sum',
+                title: v.title,
+                type: v.type,
+                render: typeof v.render === 'function' ? v.render : undefined
+            };
+        });
+        var totals = opt.totals === false ? { rows: false, columns: false } : (opt.totals || {});
+
+        return {
+            enabled: !!opt.enabled,
+            rows: toKeys(opt.rows),
+            columns: toKeys(opt.columns),
+            values: values,
+            // rows: a total column at the end of each row, columns: a total row below the pivot
+            totals: { rows: totals.rows !== false, columns: totals.columns !== false },
+            sourceColumns: null
+        };
+    }
+
+    /**
+     * Pivot the rows: one row per distinct combination of the `rows` keys, one column per distinct
+     * combination of the `columns` keys and value field, each cell aggregating the matching rows.
+     * Distinct combinations are sorted (collator with numeric ordering), missing cells are null.
+     * @param {Array<Object>} rows Source rows (already searched / filtered)
+     * @param {Object} pivot Normalized pivot config
+     * @param {Array<Object>} sourceColumns Column definitions of the source rows (titles)
+     * @param {TinyDataTable} table
+     * @returns {{columns:Array<Object>, rows:Array<Object>, totalRow:Object|null}}
+     */
+    function _dtBuildPivot(rows, pivot, sourceColumns, table) {
+        var texts = table.texts || {};
+        var collator = table.collator || _dtCreateCollator(table.locale);
+        var totalLabel = texts.pivotTotal || 'Total';
+        var emptyLabel = texts.pivotEmpty || '(empty)';
+        var sourceByKey = Object.create(null);
+        sourceColumns.forEach(function (col) { if (col.key) sourceByKey[col.key] = col; });
+
+        var tupleOf = function (row, keys) {
+            return keys.map(function (k) { return row[k] == null ? null : row[k]; });
+        };
+        var compareTuples = function (a, b) {
+            for (var i = 0; i < a.length; i++) {
+                if (a[i] === b[i]) continue;
+                if (a[i] == null) return 1;
+                if (b[i] == null) return -1;
+                var diff = (typeof a[i] === 'number' && typeof b[i] === 'number')
+                    ? a[i] - b[i]
+                    : collator.compare(String(a[i]), String(b[i]));
+                if (diff) return diff;
+            }
+            return 0;
+        };
+        var aggregate = function (value, cellRows) {
+            var fn = _dtResolveAggregator(value.aggregator);
+            if (typeof fn !== 'function' || !cellRows.length) return null;
+            try {
+                return fn(cellRows.map(function (row) { return row[value.key]; }), { key: value.key, rows: cellRows, table: table });
+            } catch (e) {
+                return null;
+            }
+        };
+        var valueTitle = function (value) {
+            return value.title || sourceByKey[value.key]?.title || value.key;
+        };
+        var valueColumn = function (key, title, value) {
+            return {
+                key: key,
+                title: title,
+                type: value.type,
+                sortType: value.type ? undefined : 'number',
+                render: value.render,
+                searchable: false
+            };
+        };
+
+        // Distinct column / row combinations with their rows
+        var colGroups = Object.create(null);
+        var rowGroups = Object.create(null);
+        rows.forEach(function (row) {
+            var colTuple = tupleOf(row, pivot.columns);
+            var colId = JSON.stringify(colTuple);
+            var rowTuple = tupleOf(row, pivot.rows);
+            var rowId = JSON.stringify(rowTuple);
+
+            (colGroups[colId] || (colGroups[colId] = { tuple: colTuple, rows: [] })).rows.push(row);
+            var rowGroup = rowGroups[rowId] || (rowGroups[rowId] = { tuple: rowTuple, rows: [], cells: Object.create(null) });
+            rowGroup.rows.push(row);
+            (rowGroup.cells[colId] || (rowGroup.cells[colId] = [])).push(row);
+        });
+
+        var colIds = Object.keys(colGroups).sort(function (a, b) { return compareTuples(colGroups[a].tuple, colGroups[b].tuple); });
+        var rowIds = Object.keys(rowGroups).sort(function (a, b) { return compareTuples(rowGroups[a].tuple, rowGroups[b].tuple); });
+        var multipleValues = pivot.values.length > 1;
+
+        // Generated columns: row keys, then one per column combination and value, then the row totals
+        var columns = pivot.rows.map(function (key) {
+            var src = sourceByKey[key] || {};
+            return { key: key, title: src.title || key, type: src.type, render: src.render, className: src.className };
+        });
+        var cells = [];
+        colIds.forEach(function (colId) {
+            var tuple = colGroups[colId].tuple;
+            pivot.values.forEach(function (value) {
+                var parts = tuple.map(function (v) { return v == null ? emptyLabel : String(v); });
+                if (multipleValues || !parts.length) parts.push(valueTitle(value));
+                var cell = { colId: colId, value: value, key: 'pivot:' + tuple.concat(value.key).join('|') };
+                cells.push(cell);
+                columns.push(valueColumn(cell.key, parts.join(' / '), value));
+            });
+        });
+        // Without column keys the single column per value already is the row total
+        var totalCells = (pivot.totals.rows && pivot.columns.length) ? pivot.values.map(function (value) {
+            var cell = { value: value, key: 'pivot-total:' + value.key };
+            var col = valueColumn(cell.key, multipleValues ? totalLabel + ' / ' + valueTitle(value) : totalLabel, value);
+            col.className = TINY_TABLE_CLASSES.pivotTotal;
+            columns.push(col);
+            return cell;
+        }) : [];
+
+        var makeRow = function (index) {
+            var row = {};
+            Object.defineProperty(row, '__dt_index', { value: index, enumerable: false });
+            return row;
+        };
+
+        var pivotRows = rowIds.map(function (rowId, index) {
+            var group = rowGroups[rowId];
+            var row = makeRow(index);
+            pivot.rows.forEach(function (key, i) { row[key] = group.tuple[i]; });
+            cells.forEach(function (cell) { row[cell.key] = aggregate(cell.value, group.cells[cell.colId] || []); });
+            totalCells.forEach(function (cell) { row[cell.key] = aggregate(cell.value, group.rows); });
+            return row;
+        });
+
+        var totalRow = null;
+        if (pivot.totals.columns && rows.length) {
+            totalRow = makeRow(pivotRows.length);
+            Object.defineProperty(totalRow, '__dt_pivotTotal', { value: true, enumerable: false });
+            pivot.rows.forEach(function (key, i) { totalRow[key] = i === 0 ? totalLabel : null; });
+            cells.forEach(function (cell) { totalRow[cell.key] = aggregate(cell.value, colGroups[cell.colId].rows); });
+            totalCells.forEach(function (cell) { totalRow[cell.key] = aggregate(cell.value, rows); });
+        }
+
+        return { columns: columns, rows: pivotRows, totalRow: totalRow };
+    }
+
+    /**
+     * Normalize the footer rows: [{ label, className, items: { [columnKey]: { aggregator, scope } } }].
+     * Scope defaults to 'filtered' (all pages after search / filters).
+     */
+    function _dtNormalizeFooterRows(footerOpt) {
+        var source = Array.isArray(footerOpt.rows) && footerOpt.rows.length
+            ? footerOpt.rows
+            : [{ aggregates: footerOpt.aggregates, scope: footerOpt.scope }];
+
+        var validScope = function (scope, fallback) {
+            return AGGREGATE_SCOPES.indexOf(scope) !== -1 ? scope : fallback;
+        };
+
+        return source.map(function (rowDef) {
+            rowDef = rowDef || {};
+            var rowScope = validScope(rowDef.scope, 'filtered');
+            var aggs = isPlainObject(rowDef.aggregates) ? rowDef.aggregates : {};
+            var items = {};
+
+            Object.keys(aggs).forEach(function (k) {
+                var def = aggs[k];
+                if (isPlainObject(def)) {
+                    if (def.aggregator == null) return;
+                    items[k] = { aggregator: def.aggregator, scope: validScope(def.scope, rowScope) };
+                } else if (def != null) {
+                    items[k] = { aggregator: def, scope: rowScope };
+                }
+            });
+
+            return { label: rowDef.label, className: rowDef.className, items: items };
+        });
+    }
+
+    /**
+     * Normalize nested grouping levels: [{ key, header: { show, render }, aggregates }].
+     * A level may be given as its key only. `aggregates: false` disables the grouping-wide aggregates.
+     */
+    function _dtNormalizeGroupLevels(levels) {
+        return levels.map(function (l) {
+            return typeof l === 'string' ? { key: l } : l;
+        }).filter(function (l) {
+            return l && l.key;
+        }).map(function (l) {
+            return {
+                key: l.key,
+                header: {
+                    show: l.header?.show !== false,
+                    render: typeof l.header?.render === 'function' ? l.header.render : null
+                },
+                aggregates: l.aggregates === false ? false : (isPlainObject(l.aggregates) ? l.aggregates : null)
+            };
+        });
+    }
+
+    /**
+     * Number of leading grouping keys present in a values object ({ region, country } → 2).
+     */
+    function _dtCountPresentKeys(keys, values) {
+        var n = 0;
+        keys.forEach(function (k, i) {
+            if (Object.prototype.hasOwnProperty.call(values, k)) n = i + 1;
+        });
+        return n;
+    }
+
+    /**
+     * Type-insensitive lookup key for a group (server values may be strings where rows hold numbers).
+     */
+    function _dtGroupLookupKey(parts) {
+        return JSON.stringify(parts.map(function (v) { return v == null ? null : String(v); }));
+    }
+
+    /**
+     * Pixel value of a column width ('120px', '120' or 120); null for other units ('20%', 'auto').
+     */
+    function _dtToPx(v) {
+        if (typeof v === 'number') return isFinite(v) ? v : null;
+        var m = /^\s*(\d+(?:\.\d+)?)\s*(px)?\s*$/i.exec(v == null ? '' : String(v));
+        return m ? parseFloat(m[1]) : null;
+    }
+
+    /**
+     * Declarative `filters.items` types and the filter kind (predicate / control) they map to.
+     * 'bool' and 'select' keep their historical behaviour (truthy cell / strict equality).
+     */
+    const FILTER_ITEM_KINDS = {
+        multiselect: 'select',
+        range: 'number',
+        daterange: 'date',
+        text: 'text',
+        exists: 'exists'
+    };
+
+    /**
+     * Whether a filter value actually filters (empty text / range / selection does not).
+     * @param {string} type 'text' | 'number' | 'date' | 'select' | 'exists'
+     * @param {*} value
+     */
+    function _dtIsColumnFilterActive(type, value) {
+        if (value == null) return false;
+        switch (type) {
+            case 'exists':
+                return typeof value === 'boolean';
+            case 'number':
+                return isPlainObject(value) && (typeof value.min === 'number' || typeof value.max === 'number');
+            case 'date':
+                return isPlainObject(value) && (!isBlank(value.from) || !isBlank(value.to));
+            case 'select':
+                return Array.isArray(value) && value.length > 0;
+            default:
+                return String(value).trim() !== '';
+        }
+    }
+
+    /**
+     * Parse a cell value into a timestamp. Date-only strings (YYYY-MM-DD) are read as local dates.
+     */
+    function _dtToTimestamp(v) {
+        if (v == null || v === '') return NaN;
+        if (v instanceof Date) return v.getTime();
+        var str = String(v);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(str)) str += 'T00:00:00';
+        return Date.parse(str);
+    }
+
+    /**
+     * Whether a `filters.items` value filters at all (see FILTER_ITEM_KINDS).
+     * @param {Object|undefined} def Filter definition
+     * @param {*} value
+     */
+    function _dtIsFilterItemActive(def, value) {
+        if (def && def.type === 'bool') return !!value;
+        var kind = def && FILTER_ITEM_KINDS[def.type];
+        if (kind) return _dtIsColumnFilterActive(kind, value);
+        return !(value === undefined || value === null || value === '' || value === false);
+    }
+
+    // Last compiled text filter regex (a filter is evaluated for every row with the same pattern)
+    let _dtFilterRegexCache = { source: null, re: null };
+
+    function _dtFilterRegex(pattern) {
+        if (_dtFilterRegexCache.source !== pattern) {
+            let re = null;
+            try { re = new RegExp(pattern, 'i'); } catch (e) { /* incomplete pattern while typing */ }
+            _dtFilterRegexCache = { source: pattern, re: re };
+        }
+        return _dtFilterRegexCache.re;
+    }
+
+    /**
+     * Default filter predicate for a single cell value (filter row and `filters.items`).
+     * @param {*} cellValue
+     * @param {string} type 'text' | 'number' | 'date' | 'select' | 'exists'
+     * @param {*} value Filter value ({min,max}, {from,to}, string[], boolean or string)
+     * @param {string} [operator] Text operator: 'contains' (default) | 'startsWith' | 'regex'
+     * @returns {boolean}
+     */
+    function _dtMatchColumnFilter(cellValue, type, value, operator) {
+        switch (type) {
+            case 'exists': {
+                var has = !(cellValue == null || (typeof cellValue === 'string' && cellValue.trim() === '') ||
+                    (Array.isArray(cellValue) && cellValue.length === 0));
+                return has === value;
+            }
+            case 'number': {
+                if (cellValue == null || cellValue === '') return false;
+                var n = typeof cellValue === 'number' ? cellValue : Number(String(cellValue).replace(/<[^>]*>/g, ''));
+                if (isNaN(n)) return false;
+                if (typeof value.min === 'number' && n < value.min) return false;
+                if (typeof value.max === 'number' && n > value.max) return false;
+                return true;
+            }
+            case 'date': {
+                var t = _dtToTimestamp(cellValue);
+                if (isNaN(t)) return false;
+                // Bounds are inclusive days: `to` covers the whole day
+                if (!isBlank(value.from) && t < _dtToTimestamp(value.from)) return false;
+                if (!isBlank(value.to) && t >= _dtToTimestamp(value.to) + 86400000) return false;
+                return true;
+            }
+            case 'select':
+                return value.indexOf(cellValue == null ? '' : String(cellValue)) !== -1;
+            default: {
+                if (cellValue == null) return false;
+                var text = String(cellValue);
+                var q = String(value).trim();
+                if (operator === 'regex') {
+                    var re = _dtFilterRegex(q);
+                    if (re) return re.test(text);
+                    // invalid pattern: fall back to "contains"
+                } else if (operator === 'startsWith') {
+                    return text.toLowerCase().indexOf(q.toLowerCase()) === 0;
+                }
+                return text.toLowerCase().indexOf(q.toLowerCase()) !== -1;
+            }
+        }
+    }
+
+    /**
+     * Fold a string for search comparisons (`search.normalize`).
+     * @param {*} value
+     * @param {{accents:boolean, case:boolean, whitespace:boolean}} opts
+     * @returns {string}
+     */
+    function _dtFoldText(value, opts) {
+        var str = String(value);
+        if (opts.accents) str = str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (opts.case) str = str.toLowerCase();
+        if (opts.whitespace) str = str.replace(/\s+/g, ' ').trim();
+        return str;
+    }
+
+    /**
+     * Collator used for string sorting (falls back to the default locale on an invalid tag).
+     * @param {string} [locale]
+     * @param {string} [sensitivity] 'base' | 'accent' | 'case' | 'variant' (default)
+     * @param {boolean} [numeric=true] Compare digit runs numerically ("Item 9" < "Item 10")
+     */
+    function _dtCreateCollator(locale, sensitivity, numeric) {
+        var opts = { numeric: numeric !== false, sensitivity: sensitivity || 'variant' };
+        try {
+            return new Intl.Collator(locale, opts);
+        } catch (e) {
+            return new Intl.Collator(undefined, opts);
+        }
+    }
+
+    // Column `type` names that imply a sort type (used when `sortType` is not set)
+    const SORT_TYPE_BY_COLUMN_TYPE = {
+        number: 'number', digits: 'number', ngdigits: 'number', percent: 'number', currency: 'number',
+        date: 'date', datetime: 'date',
+        bool: 'boolean', boolean: 'boolean'
+    };
+
+    /**
+     * Sort type of a column: explicit `sortType`, else derived from `type`, else null (guessed per value).
+     * @param {Object} col
+     * @returns {'number'|'date'|'string'|'natural'|'boolean'|null}
+     */
+    function _dtResolveSortType(col) {
+        var t = col && (col.sortType || SORT_TYPE_BY_COLUMN_TYPE[String(col.type || '').toLowerCase()]);
+        t = t ? String(t).toLowerCase() : null;
+        return ['number', 'date', 'string', 'natural', 'boolean'].indexOf(t) !== -1 ? t : null;
+    }
+
+    // Per-locale number separators and date field order, resolved once through Intl
+    const _dtLocaleFormats = new Map();
+
+    function _dtGetLocaleFormat(locale) {
+        var key = locale || '';
+        var fmt = _dtLocaleFormats.get(key);
+        if (fmt) return fmt;
+
+        fmt = { group: ',', decimal: '.', dateOrder: ['month', 'day', 'year'] };
+        try {
+            new Intl.NumberFormat(locale || undefined).formatToParts(12345.6).forEach(function (p) {
+                if (p.type === 'group') fmt.group = p.value;
+                if (p.type === 'decimal') fmt.decimal = p.value;
+            });
+            fmt.dateOrder = new Intl.DateTimeFormat(locale || undefined, { year: 'numeric', month: '2-digit', day: '2-digit' })
+                .formatToParts(new Date(2001, 10, 22))
+                .filter(function (p) { return p.type === 'day' || p.type === 'month' || p.type === 'year'; })
+                .map(function (p) { return p.type; });
+        } catch (e) {
+            // invalid locale tag: keep the en-US defaults
+        }
+        _dtLocaleFormats.set(key, fmt);
+        return fmt;
+    }
+
+    /**
+     * Parse a localized number: "1 200,50 €" (fr), "1'200.50" (de-CH), "12.5 %", "-3,5".
+     * @returns {number} NaN when the value holds no number
+     */
+    function _dtParseLocaleNumber(value, locale) {
+        if (typeof value === 'number') return value;
+        if (value == null) return NaN;
+        var str = String(value).replace(/<[^>]*>/g, '').trim();
+        if (str === '') return NaN;
+        var fmt = _dtGetLocaleFormat(locale);
+        // Canonical numeric strings ("12.50", "-3e4") keep their decimal point, unless "." groups
+        // thousands in the locale ("1.234" is 1234 in de-DE)
+        if (fmt.group !== '.' && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(str)) return Number(str);
+
+        // Group separators: the locale's one plus the usual spaces / apostrophes
+        // ("." is only dropped when it is the locale's group separator)
+        str = str.split(fmt.group).join('').replace(/[\s\u00a0\u202f'’]/g, '');
+        if (fmt.decimal !== '.') str = str.replace(fmt.decimal, '.');
+        str = str.replace(/[−–]/g, '-').replace(/[^0-9.\-eE]/g, '');
+
+        return str === '' || str === '-' ? NaN : parseFloat(str);
+    }
+
+    /**
+     * Parse a localized date: ISO strings, or numeric dates in the locale's field order
+     * ("03/04/2024" is 3 April in fr-FR, March 4 in en-US) with an optional "hh:mm[:ss]" time.
+     * @returns {number} Timestamp, NaN when not a date
+     */
+    function _dtParseLocaleDate(value, locale) {
+        if (value instanceof Date) return value.getTime();
+        if (value == null) return NaN;
+        var str = String(value).replace(/<[^>]*>/g, '').trim();
+        if (str === '') return NaN;
+        if (/^\d{4}-\d{2}-\d{2}/.test(str)) return _dtToTimestamp(str);
+
+        var m = str.match(/^(\d{1,4})[\/.\-](\d{1,2})[\/.\-](\d{1,4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+        if (!m) return Date.parse(str);
+
+        var order = _dtGetLocaleFormat(locale).dateOrder;
+        // A leading 4-digit field is always the year (YYYY/MM/DD)
+        if (m[1].length === 4) order = ['year', 'month', 'day'];
+        var parts = {};
+        order.forEach(function (type, idx) { parts[type] = parseInt(m[idx + 1], 10); });
+        if (parts.year < 100) parts.year += 2000;
+
+        var d = new Date(parts.year, parts.month - 1, parts.day, m[4] ? parseInt(m[4], 10) : 0, m[5] ? parseInt(m[5], 10) : 0, m[6] ? parseInt(m[6], 10) : 0);
+        return d.getMonth() === parts.month - 1 ? d.getTime() : NaN;
+    }
+
+    function _dtToBoolean(value) {
+        if (typeof value === 'string') {
+            var v = value.replace(/<[^>]*>/g, '').trim().toLowerCase();
+            return !(v === '' || v === '0' || v === 'false' || v === 'no' || v === 'off' || v === 'non' || v === 'nein');
+        }
+        return !!value;
+    }
+
+    /**
+     * Parse an advanced search query (`search.advanced`) into terms.
+     * Terms are ANDed; supported forms:
+     *   foo            plain term (any searchable column)
+     *   "foo bar"      phrase
+     *   -foo           exclusion (also -"foo bar", -col:value)
+     *   col:value      term scoped to a column (key or title, "Quoted title":value)
+     *   col:>100       comparison: >, >=, <, <=, = (numbers or dates)
+     * Column names are resolved by the table; unknown ones are searched as plain text.
+     * @param {string} text
+     * @returns {Array<{raw:string, value:string, negate:boolean, phrase:boolean, field:string|null, op:string|null}>}
+     */
+    function _dtParseSearchQuery(text) {
+        var terms = [];
+        var re = /(-?)(?:(?:"([^"]+)"|([^\s:"]+)):)?(>=|<=|>|<|=)?(?:"([^"]*)"?|(\S+))/g;
+        var m;
+        while ((m = re.exec(String(text || ''))) !== null) {
+            var phrase = m[5] !== undefined;
+            var value = phrase ? m[5] : m[6];
+            if (!value || !value.trim()) continue;
+            terms.push({
+                raw: m[0].slice(m[1].length),
+                value: value,
+                negate: m[1] === '-',
+                phrase: phrase,
+                field: m[2] || m[3] || null,
+                op: m[4] || null
+            });
+        }
+        return terms;
+    }
+
+    /**
+     * Compare a cell text with a search operand (`col:>100`): numbers first, then dates,
+     * then case-insensitive strings.
+     */
+    function _dtCompareSearchValue(cellText, op, operand) {
+        var a = Number(String(cellText).trim()), b = Number(String(operand).trim());
+        var cmp;
+        if (cellText !== '' && !isNaN(a) && !isNaN(b)) {
+            cmp = a - b;
+        } else {
+            var da = _dtToTimestamp(cellText), db = _dtToTimestamp(operand);
+            if (!isNaN(da) && !isNaN(db)) cmp = da - db;
+            else cmp = String(cellText).toLowerCase().localeCompare(String(operand).toLowerCase());
+        }
+        switch (op) {
+            case '>': return cmp > 0;
+            case '>=': return cmp >= 0;
+            case '<': return cmp < 0;
+            case '<=': return cmp <= 0;
+            default: return cmp === 0;
+        }
+    }
+
     function _dtAddClass(el, classes) {
         if (!el || classes == null) return;
         if (typeof classes === 'function') classes = classes(el);
@@ -425,6 +1076,67 @@
         // Grouping support.
         groupHeaderRow: `${NAMESPACE}-group-header-row`,
         groupHeaderCell: `${NAMESPACE}-group-header-cell`,
+        groupFooterRow: `${NAMESPACE}-group-footer-row`,
+        groupAggregate: `${NAMESPACE}-group-aggregate`,
+        groupCollapsed: `${NAMESPACE}-group-collapsed`,
+
+        // Pivot mode: row / column totals.
+        pivotTotal: `${NAMESPACE}-pivot-total`,
+        pivotTotalRow: `${NAMESPACE}-pivot-total-row`,
+
+        // Grouping panel (controls bar): drop zone and one chip per grouping level.
+        groupingPanel: `${NAMESPACE}-grouping-panel`,
+        groupingPanelOver: `${NAMESPACE}-grouping-panel-over`,
+        groupingPlaceholder: `${NAMESPACE}-grouping-placeholder`,
+        groupingChip: `${NAMESPACE}-grouping-chip`,
+        groupingChipLabel: `${NAMESPACE}-grouping-chip-label`,
+        groupingChipRemove: `${NAMESPACE}-grouping-chip-remove`,
+        groupingChipDragging: `${NAMESPACE}-grouping-chip-dragging`,
+
+        // Screen-reader only live region (draw / page announcements).
+        liveRegion: `${NAMESPACE}-sr-only`,
+
+        // Column reordering (drag & drop in the header).
+        columnDragging: `${NAMESPACE}-col-dragging`,
+        columnDropBefore: `${NAMESPACE}-col-drop-before`,
+        columnDropAfter: `${NAMESPACE}-col-drop-after`,
+
+        // Row reordering (drag handle column, drop markers on body rows).
+        rowReorderCell: `${NAMESPACE}-row-reorder-cell`,
+        rowReorderHandle: `${NAMESPACE}-row-reorder-handle`,
+        rowReorderLocked: `${NAMESPACE}-row-reorder-locked`,
+        rowDragging: `${NAMESPACE}-row-dragging`,
+        rowDropBefore: `${NAMESPACE}-row-drop-before`,
+        rowDropAfter: `${NAMESPACE}-row-drop-after`,
+
+        // Live updates (liveUpdate(): cells changed by a patch, rows added by a patch).
+        cellFlash: `${NAMESPACE}-cell-flash`,
+        rowFlash: `${NAMESPACE}-row-flash`,
+
+        // Column resizing (drag handle in header cells, fixed layout once every width is known).
+        resizeHandle: `${NAMESPACE}-resize-handle`,
+        resizing: `${NAMESPACE}-resizing`,
+        fixedLayout: `${NAMESPACE}-fixed-layout`,
+
+        // Sticky header / footer and frozen columns inside the scroll wrapper.
+        fixedHeader: `${NAMESPACE}-fixed-header`,
+        fixedFooter: `${NAMESPACE}-fixed-footer`,
+        fixedColumns: `${NAMESPACE}-fixed-columns`,
+        fixedCell: `${NAMESPACE}-fixed-cell`,
+        fixedLeftLast: `${NAMESPACE}-fixed-left-last`,
+        fixedRightFirst: `${NAMESPACE}-fixed-right-first`,
+
+        // Per-column filter row (second header row).
+        filterRow: `${NAMESPACE}-filter-row`,
+        filterCell: `${NAMESPACE}-filter-cell`,
+
+        // Inline cell editing.
+        editableCell: `${NAMESPACE}-editable`,
+        editingCell: `${NAMESPACE}-editing`,
+        editorInvalid: `${NAMESPACE}-editor-invalid`,
+
+        // Virtual scrolling: spacer rows standing in for the rows outside the window.
+        virtualSpacer: `${NAMESPACE}-virtual-spacer`,
 
         // Row selection.
         selectHeaderCell: `${NAMESPACE}-select-header-cell`,
@@ -435,6 +1147,12 @@
 
     const COL_STYLE_PROPS = ['width', 'minWidth', 'maxWidth', 'textAlign', 'whiteSpace'];
 
+    // Key of the synthetic drag handle column (rowReorder option).
+    const ROW_REORDER_COLUMN_KEY = '__dt_row_reorder';
+
+    // Row height used by virtual scrolling until a real row could be measured.
+    const VIRTUAL_DEFAULT_ROW_HEIGHT = 33;
+
     // -----------------------------
     // mark.js detection (once, inline)
     // -----------------------------
@@ -492,15 +1210,31 @@
 
         // Attach a stable index to keep original ordering when no sort is applied
         _attachOriginalIndex() {
+            var next = 0;
             this.original.forEach(function (row, idx) {
-                if (Object.prototype.hasOwnProperty.call(row, '__dt_index')) return;
-                Object.defineProperty(row, '__dt_index', {
-                    value: idx,
-                    enumerable: false,
-                    configurable: false,
-                    writable: false
-                });
+                if (!Object.prototype.hasOwnProperty.call(row, '__dt_index')) _dtDefineRowIndex(row, idx);
+                next = Math.max(next, row.__dt_index + 1);
+            });
+            // Index of the next added row (addRows), existing rows keep theirs
+            this._nextIndex = next;
+        }
+
+        /**
+         * Insert rows into the data order. New rows get the next free `__dt_index`.
+         * @param {Array<Object>} rows
+         * @param {'start'|'end'|number} [position='end'] index in the data order
+         * @returns {number} index of the first inserted row
+         */
+        insertRows(rows, position) {
+            var self = this;
+            var index = position === 'start' ? 0
+                : (typeof position === 'number' ? Math.max(0, Math.min(this.original.length, Math.floor(position))) : this.original.length);
+
+            rows.forEach(function (row) {
+                if (!Object.prototype.hasOwnProperty.call(row, '__dt_index')) _dtDefineRowIndex(row, self._nextIndex++);
             });
+            Array.prototype.splice.apply(this.original, [index, 0].concat(rows));
+            return index;
         }
 
         /**
@@ -525,18 +1259,22 @@
 
             // Apply column filters (if configured and active) before search/sort.
             var activeFilters = state.filters || {};
+            var filterDefs = (this.table && this.table.filters && Array.isArray(this.table.filters.items))
+                ? this.table.filters.items
+                : [];
+            var findFilterDef = function (key) {
+                return filterDefs.find(function (f) {
+                    return f && f.key === key;
+                });
+            };
             var hasActiveFilters =
                 activeFilters &&
                 typeof activeFilters === 'object' &&
                 Object.keys(activeFilters).some(function (k) {
-                    var v = activeFilters[k];
-                    return v !== undefined && v !== null && v !== '' && v !== false;
+                    return _dtIsFilterItemActive(findFilterDef(k), activeFilters[k]);
                 });
 
             if (hasActiveFilters && this.table && this.table.filters && this.table.filters.enabled) {
-                var filterDefs = Array.isArray(this.table.filters.items)
-                    ? this.table.filters.items
-                    : [];
 
                 rows = rows.filter(function (row) {
                     for (var key in activeFilters) {
@@ -544,16 +1282,10 @@
                         var value = activeFilters[key];
 
                         // Resolve filter definition for this key (if any).
-                        var def = filterDefs.find(function (f) {
-                            return f && f.key === key;
-                        });
+                        var def = findFilterDef(key);
 
-                        // Disabled boolean or "empty" non-boolean values do not filter.
-                        if (def && def.type === 'bool') {
-                            if (!value) continue;
-                        } else {
-                            if (value === null || value === '' || value === undefined) continue;
-                        }
+                        // Disabled boolean or "empty" values do not filter.
+                        if (!_dtIsFilterItemActive(def, value)) continue;
 
                         // Custom predicate (full control).
                         if (def && typeof def.predicate === 'function') {
@@ -565,10 +1297,14 @@
 
                         // Default behaviour:
                         //  - boolean filter: require truthy cell value
+                        //  - declarative types (multiselect, range, ...): shared predicate
                         //  - other filters: strict string equality.
                         var cellValue = row[key];
+                        var kind = def && FILTER_ITEM_KINDS[def.type];
 
-                        if (def && def.type === 'bool') {
+                        if (kind) {
+                            if (!_dtMatchColumnFilter(cellValue, kind, value, def.operator)) return false;
+                        } else if (def && def.type === 'bool') {
                             if (!cellValue) return false;
                         } else {
                             if (cellValue == null) return false;
@@ -579,35 +1315,34 @@
                 });
             }
 
-            // Single helper for search + sort
-            // 1) if real key and not synthetic → row[col.key]
-            // 2) otherwise, if render exists → col.render(...)
-            // 3) otherwise → null
-            function getValue(col, row, phase) {
-                let v = null;
-                if (col.key && !col.isSyntheticKey) {
-                    v = row[col.key];
-                } else if (typeof col.render === 'function') {
-                    try {
-                        v = self.table._renderValue(col, v, row, 0, phase || "value", { isChild: false });
-                    } catch (e) {
-                        v = null;
-                    }
-                }
-
-                return v;
+            // Per-column filter row (see TinyDataTable#_getActiveColumnFilters)
+            var columnFilters = this.table ? this.table._getActiveColumnFilters() : [];
+            if (columnFilters.length) {
+                rows = rows.filter(function (row) {
+                    return columnFilters.every(function (f) {
+                        return _dtMatchColumnFilter(row[f.key], f.type, f.value);
+                    });
+                });
             }
 
+            var getValue = function (col, row, phase) {
+                return self._getColumnValue(col, row, phase);
+            };
+
             // Search (parent rows + child rows if enabled)
             if (state.searchText && state.searchText.trim() !== '' && searchableCols.length > 0) {
-                var q = state.searchText.toLowerCase();
+                // Case / accent / whitespace folding (search.normalize)
+                var fold = this.table
+                    ? function (v) { return self.table._normalizeSearchText(v); }
+                    : function (v) { return String(v).toLowerCase(); };
 
-                rows = rows.filter(function (row) {
+                // Plain term (already folded): any searchable parent column, or any searchable child column
+                var matchesText = function (row, q) {
                     // 1) Parent row match (uses getValue → key or render)
                     var parentMatch = searchableCols.some(function (col) {
                         var v = getValue(col, row, 'search');
                         if (v == null) return false;
-                        return String(v).toLowerCase().indexOf(q) !== -1;
+                        return fold(v).indexOf(q) !== -1;
                     });
                     if (parentMatch) return true;
 
@@ -628,12 +1363,57 @@
                         return childSearchableCols.some(function (col) {
                             var vChild = child[col.key];
                             if (vChild == null) return false;
-                            return String(vChild).toLowerCase().indexOf(q) !== -1;
+                            return fold(vChild).indexOf(q) !== -1;
                         });
                     });
-                });
+                };
+
+                var query = this.table ? this.table._getSearchQuery() : null;
+
+                if (query) {
+                    // Advanced syntax: every term must match (exclusions must not)
+                    var termColumns = {};
+                    columns.forEach(function (c) { if (c.key) termColumns[c.key] = c; });
+
+                    rows = rows.filter(function (row) {
+                        return query.terms.every(function (term) {
+                            var hit;
+                            if (term.key) {
+                                var v = getValue(termColumns[term.key], row, 'search');
+                                var text = v == null ? '' : String(v).replace(/<[^>]*>/g, '');
+                                hit = term.op
+                                    ? _dtCompareSearchValue(text, term.op, term.value)
+                                    : (v != null && fold(text).indexOf(fold(term.value)) !== -1);
+                            } else {
+                                hit = matchesText(row, fold(term.value));
+                            }
+                            return term.negate ? !hit : hit;
+                        });
+                    });
+                } else {
+                    var q = fold(state.searchText);
+                    rows = rows.filter(function (row) {
+                        return matchesText(row, q);
+                    });
+                }
             }
 
+            return this.sortRows(rows, state, columns);
+        }
+
+        /**
+         * Sort rows by state.sortOrders (columns that are not sortable are ignored).
+         * @param {Array<Object>} rows
+         * @param {Object} state
+         * @param {Array<Object>} columns
+         * @returns {Array<Object>} sorted copy (or `rows` when there is nothing to sort by)
+         */
+        sortRows(rows, state, columns) {
+            var self = this;
+            var getValue = function (col, row, phase) {
+                return self._getColumnValue(col, row, phase);
+            };
+
             // Sort (based on state.sortOrders)
             var sortSpecs = [];
 
@@ -656,12 +1436,42 @@
             }
 
             if (sortSpecs.length) {
+                // Locale-aware string comparison ("Item 9" < "Item 10"); 'string' columns compare digits as text
+                var locale = this.table ? this.table.locale : undefined;
+                var collator = (this.table && this.table.collator) || _dtCreateCollator(locale);
+                var plainCollator = null;
+                sortSpecs.forEach(function (spec) {
+                    spec.type = _dtResolveSortType(spec.col);
+                    if (spec.type === 'string' && !plainCollator) {
+                        plainCollator = _dtCreateCollator(locale, self.table?.options.collation?.sensitivity, false);
+                    }
+                });
+
                 // Precompute sort keys once per row (Schwartzian transform) for better performance
-                var keyed = rows.map(function (row) {
+                var keyed = rows.map(function (row, pos) {
                     var keys = sortSpecs.map(function (spec) {
                         var col = spec.col;
-                        var v = getValue(col, row, 'sort');
+                        var v = typeof col.sortValue === 'function' ? col.sortValue(row) : getValue(col, row, 'sort');
                         if (v == null) return { t: 'n', v: null };
+
+                        // Declared type (sortType / column type): no guessing
+                        switch (spec.type) {
+                            case 'number': {
+                                var num = _dtParseLocaleNumber(v, locale);
+                                return isNaN(num) ? { t: 'n', v: null } : { t: 'num', v: num };
+                            }
+                            case 'date': {
+                                var ts = _dtParseLocaleDate(v, locale);
+                                return isNaN(ts) ? { t: 'n', v: null } : { t: 'date', v: ts };
+                            }
+                            case 'boolean':
+                                return { t: 'num', v: _dtToBoolean(v) ? 1 : 0 };
+                            case 'string':
+                                return { t: 'plain', v: String(v).replace(/<[^>]*>/g, '') };
+                            case 'natural':
+                                return { t: 'str', v: String(v).replace(/<[^>]*>/g, '') };
+                        }
+
                         v = String(v).replace(/<[^>]*>/g, '');
 
                         // numeric
@@ -674,7 +1484,7 @@
 
                         return { t: 'str', v: v };
                     });
-                    return { row: row, keys: keys };
+                    return { row: row, keys: keys, pos: pos };
                 });
 
                 keyed.sort(function (a, b) {
@@ -691,34 +1501,55 @@
                             if (ka.t === 'num' || ka.t === 'date') {
                                 var diff = ka.v - kb.v;
                                 if (diff !== 0) return diff * dir;
+                            } else if (ka.t === 'plain') {
+                                var diffPlain = plainCollator.compare(ka.v, kb.v);
+                                if (diffPlain !== 0) return diffPlain * dir;
                             } else {
-                                var diffStr = String(ka.v).localeCompare(String(kb.v));
+                                var diffStr = collator.compare(String(ka.v), String(kb.v));
                                 if (diffStr !== 0) return diffStr * dir;
                             }
                         } else {
                             var da = String(ka.v), db = String(kb.v);
-                            var diffAny = da.localeCompare(db);
+                            var diffAny = collator.compare(da, db);
                             if (diffAny !== 0) return diffAny * dir;
                         }
                     }
 
-                    // All sort keys equal → keep initial order
-                    var ia = typeof a.row.__dt_index === 'number' ? a.row.__dt_index : 0;
-                    var ib = typeof b.row.__dt_index === 'number' ? b.row.__dt_index : 0;
-                    return ia - ib;
+                    // All sort keys equal → keep the data order (moveRow / insertRows included)
+                    return a.pos - b.pos;
                 });
 
                 rows = keyed.map(function (x) { return x.row; });
             }
 
-
             return rows;
         }
 
+        // Single helper for search + sort
+        // 1) if real key and not synthetic → row[col.key]
+        // 2) otherwise, if render exists → col.render(...)
+        // 3) otherwise → null
+        _getColumnValue(col, row, phase) {
+            let v = null;
+            if (col.key && !col.isSyntheticKey) {
+                v = row[col.key];
+            } else if (typeof col.render === 'function') {
+                try {
+                    v = this.table._renderValue(col, v, row, 0, phase || "value", { isChild: false });
+                } catch (e) {
+                    v = null;
+                }
+            }
+
+            return v;
+        }
+
         /**
          * Main load implementation in local mode: filtered rows + paging.
          */
         load(state, columns) {
+            if (this.table && this.table.pivot.enabled) return Promise.resolve(this.loadPivot(state, columns));
+
             var rows = this.getFilteredRows(state, columns);
             var total = rows.length;
 
@@ -731,9 +1562,34 @@
 
             return Promise.resolve({rows: rows, total: total});
         }
-    }
 
-    class AjaxLoadOnceDataSource extends LocalDataSource {
+        /**
+         * Pivot mode: pivot the searched / filtered source rows, sort the pivot rows by the generated
+         * columns, keep the total row last, then page. The generated columns are returned as `pivotColumns`.
+         * @param {Object} state
+         * @param {Array<Object>} columns Current table columns (the generated ones once a pivot was drawn)
+         * @returns {{rows:Array, total:number, pivotColumns:Array<Object>}}
+         */
+        loadPivot(state, columns) {
+            var pivot = this.table.pivot;
+            var sourceColumns = pivot.sourceColumns || columns;
+            var sourceRows = this.getFilteredRows(Object.assign({}, state, { sortOrders: [] }), sourceColumns);
+            var result = _dtBuildPivot(sourceRows, pivot, sourceColumns, this.table);
+
+            var rows = this.sortRows(result.rows, state, result.columns);
+            if (result.totalRow) rows = rows.concat([result.totalRow]);
+            var total = rows.length;
+
+            if (state.pagingEnabled) {
+                var start = (state.page - 1) * state.pageSize;
+                rows = rows.slice(start, start + state.pageSize);
+            }
+
+            return { rows: rows, total: total, pivotColumns: result.columns };
+        }
+    }
+
+    class AjaxLoadOnceDataSource extends LocalDataSource {
         constructor(ajaxOptions, table) {
             super([], table); //// Start with empty data; will be filled after first AJAX call
             this.ajax = ajaxOptions ?? {};
@@ -807,6 +1663,200 @@
         }
     }
 
+    /**
+     * StreamDataSource
+     * Local data fed by a WebSocket or Server-Sent Events stream. Messages are full snapshots or
+     * upsert / delete deltas; search, sort and paging stay in memory (LocalDataSource).
+     */
+    class StreamDataSource extends LocalDataSource {
+        constructor(streamOptions, table) {
+            super([], table); // Filled by the first snapshot / upserts
+            this.stream = streamOptions ?? {};
+
+            if (!this.stream.url) {
+                throw new Error('StreamDataSource: stream.url is required');
+            }
+
+            var url = typeof this.stream.url === 'string' ? this.stream.url : '';
+            this.type = this.stream.type || (/^wss?:/i.test(url) ? 'websocket' : 'sse');
+
+            var reconnectOpt = this.stream.reconnect;
+            this.reconnect = {
+                enabled: reconnectOpt !== false && !(reconnectOpt && reconnectOpt.enabled === false),
+                delay: (typeof reconnectOpt?.delay === 'number') ? reconnectOpt.delay : 1000,
+                maxDelay: (typeof reconnectOpt?.maxDelay === 'number') ? reconnectOpt.maxDelay : 30000,
+                factor: (typeof reconnectOpt?.factor === 'number') ? reconnectOpt.factor : 2,
+                maxAttempts: (typeof reconnectOpt?.maxAttempts === 'number') ? reconnectOpt.maxAttempts : Infinity
+            };
+
+            this._socket = null;
+            this._attempt = 0;      // failed connections since the last open
+            this._timer = null;     // pending reconnection
+            this._closed = false;   // close() called: no reconnection
+            this._connectPending = false; // first connect() scheduled by load()
+            this._queue = Promise.resolve(); // messages are applied one after the other
+        }
+
+        /**
+         * The first load opens the stream; rows come from memory like LocalDataSource.
+         * Opening is deferred to a microtask: the first draw runs in the table constructor, and
+         * listeners registered right after it must see `streamOpen` / `streamError`.
+         */
+        load(state, columns) {
+            var self = this;
+            if (!this._socket && !this._timer && !this._closed && !this._connectPending) {
+                this._connectPending = true;
+                Promise.resolve().then(function () {
+                    self._connectPending = false;
+                    if (!self._socket && !self._timer && !self._closed) self.connect();
+                });
+            }
+            return super.load(state, columns);
+        }
+
+        /**
+         * Open (or re-open) the stream. When the socket cannot be created (no WebSocket /
+         * EventSource constructor, invalid URL) a `streamError` is emitted and the stream stays closed.
+         */
+        connect() {
+            var self = this;
+            var url = typeof this.stream.url === 'function' ? this.stream.url() : this.stream.url;
+            var socket;
+
+            this._closed = false;
+            clearTimeout(this._timer);
+            this._timer = null;
+            this._disconnect();
+
+            function onOpen() {
+                self._attempt = 0;
+                self._emit('streamOpen', { url: url, type: self.type });
+            }
+
+            function onMessage(event) {
+                self._queue = self._queue.then(function () {
+                    return self._applyMessage(event);
+                }).catch(function (error) {
+                    self._emit('streamError', { error: error, attempt: self._attempt, delay: null });
+                });
+            }
+
+            function fail(error) {
+                self._closed = true; // no reconnection, no new attempt on every draw
+                self._emit('streamError', { error: error, attempt: self._attempt, delay: null });
+            }
+
+            if (this.type === 'websocket') {
+                var WebSocketCtor = this.stream.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+                if (!WebSocketCtor) return fail(new Error('StreamDataSource: WebSocket is not available'));
+
+                var lastError = null;
+                try {
+                    socket = new WebSocketCtor(url, this.stream.protocols);
+                } catch (e) {
+                    return fail(e);
+                }
+                socket.onopen = onOpen;
+                socket.onmessage = onMessage;
+                socket.onerror = function (e) { lastError = e; };
+                socket.onclose = function (e) {
+                    if (self._socket !== socket) return; // closed by us
+                    self._onConnectionLost(lastError || new Error('WebSocket closed (' + e.code + ')'));
+                };
+            } else {
+                var EventSourceCtor = this.stream.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+                if (!EventSourceCtor) return fail(new Error('StreamDataSource: EventSource is not available'));
+
+                try {
+                    socket = new EventSourceCtor(url, { withCredentials: !!this.stream.withCredentials });
+                } catch (e) {
+                    return fail(e);
+                }
+                socket.onopen = onOpen;
+                socket.addEventListener(this.stream.event || 'message', onMessage);
+                socket.onerror = function (e) {
+                    if (self._socket !== socket) return;
+                    // Reconnect with our own backoff instead of the browser's fixed retry
+                    socket.close();
+                    self._onConnectionLost(e);
+                };
+            }
+
+            this._socket = socket;
+        }
+
+        /**
+         * Close the stream (no reconnection until connect() is called).
+         */
+        close() {
+            this._closed = true;
+            clearTimeout(this._timer);
+            this._timer = null;
+            this._disconnect();
+        }
+
+        _disconnect() {
+            var socket = this._socket;
+            this._socket = null;
+            if (socket) {
+                try { socket.close(); } catch (e) { /* noop */ }
+            }
+        }
+
+        _onConnectionLost(error) {
+            var self = this;
+            var attempt = ++this._attempt;
+            var delay = null;
+
+            this._socket = null;
+            if (!this._closed && this.reconnect.enabled && attempt <= this.reconnect.maxAttempts) {
+                delay = Math.min(this.reconnect.maxDelay, this.reconnect.delay * Math.pow(this.reconnect.factor, attempt - 1));
+                this._timer = setTimeout(function () {
+                    self._timer = null;
+                    self.connect();
+                }, delay);
+            }
+
+            this._emit('streamError', { error: error, attempt: attempt, delay: delay });
+        }
+
+        _applyMessage(event) {
+            var table = this.table;
+            var data = event && event.data;
+            if (typeof data === 'string') {
+                try { data = JSON.parse(data); } catch (e) { /* plain text message */ }
+            }
+
+            var message = _dtNormalizeStreamMessage(
+                typeof this.stream.transform === 'function' ? this.stream.transform(data, event) : data
+            );
+            if (!message) return; // heartbeat or ignored message
+
+            this._emit('streamMessage', { data: data, message: message });
+
+            var patches = message.upsert.map(function (row) {
+                return { op: 'upsert', row: row };
+            }).concat(message.delete.map(function (item) {
+                return (item && typeof item === 'object') ? { op: 'delete', row: item } : { op: 'delete', id: item };
+            }));
+
+            var ready = Promise.resolve();
+            if (message.snapshot) {
+                this.setData(message.snapshot);
+                if (table) ready = table.draw();
+            }
+            if (!patches.length || !table) return ready;
+
+            return ready.then(function () {
+                return table.liveUpdate(patches);
+            });
+        }
+
+        _emit(name, payload) {
+            if (this.table) this.table._emit(name, payload);
+        }
+    }
+
     /**
      * AjaxDataSource
      * Handles server-side data loading.
@@ -820,33 +1870,104 @@
             if (!this.fetchFn && !this.ajax.url) {
                 throw new Error('AjaxDataSource: either ajax.fetch or ajax.url is required');
             }
+
+            // Response cache: ttl in ms, least recently used entries dropped beyond maxEntries
+            const cacheOpt = this.ajax.cache;
+            this.cache = {
+                enabled: cacheOpt === true || !!(cacheOpt && cacheOpt.enabled),
+                ttl: (typeof cacheOpt?.ttl === 'number') ? cacheOpt.ttl : 60000,
+                maxEntries: (typeof cacheOpt?.maxEntries === 'number' && cacheOpt.maxEntries > 0) ? cacheOpt.maxEntries : 20,
+                prefetch: !!cacheOpt?.prefetch
+            };
+            this._cache = new Map(); // request key -> { time, promise }, least recently used first
         }
 
         /**
          * Load data from the server.
          * Supports:
-         *   - ajax.fetch({ state, columns }) -> { rows, total }
+         *   - ajax.fetch({ state, columns, params }) -> { rows, total, groups?, aggregates? }
          *   - ajax.url + optional buildParams / transform
+         *
+         * Server-side grouping / aggregation: the response may carry `groups`
+         * ([{ key, count, aggregates }]), `aggregates` over the filtered dataset and
+         * `aggregatesAll` over the whole dataset ({ [columnKey]: value }).
+         *
+         * With `ajax.cache`, responses are reused for identical requests and the next page
+         * can be prefetched.
          */
         load(state, columns) {
             const self = this;
-            const _handleFetchResponse = r => r.then(function (json) {
-                if (typeof self.ajax.transform === 'function') {
-                    json = self.ajax.transform(json);
+            if (!this.cache.enabled) return this._send(this._buildRequest(state, columns), state.__signal);
+
+            // Cached responses outlive the draw: its abort signal is not handed to ajax.fetch either
+            const cacheState = Object.assign({}, state);
+            delete cacheState.__signal;
+            return this._cachedSend(this._buildRequest(cacheState, columns)).then(function (result) {
+                // Prefetch the next page: cached for the next goToPage()
+                if (self.cache.prefetch && state.pagingEnabled && state.page * state.pageSize < result.total) {
+                    self._cachedSend(self._buildRequest(Object.assign({}, cacheState, { page: state.page + 1 }), columns))
+                        .catch(function () { /* prefetch only */ });
                 }
-                const rows = Array.isArray(json) ? json : (json.data || []);
-                const total = typeof json.total === 'number' ? json.total : rows.length;
-                return {rows: rows, total: total};
+                return result;
             });
+        }
 
-            if (this.fetchFn) {
-                return _handleFetchResponse(Promise.resolve(this.fetchFn({state: state, columns: columns})));
+        /**
+         * Drop all cached responses.
+         */
+        invalidateCache() {
+            this._cache.clear();
+        }
+
+        /**
+         * Called by table.refresh() before the redraw: the next load hits the server.
+         */
+        refresh() {
+            this.invalidateCache();
+        }
+
+        /**
+         * Shared Promise per serialized request (url, method, params): concurrent identical requests
+         * are sent once. The draw's abort signal is not passed, a response is kept once requested.
+         * The ttl counts from the arrival of the response.
+         */
+        _cachedSend(request) {
+            const self = this;
+            const key = JSON.stringify([request.url, request.method, request.ajaxParams]);
+            const now = Date.now();
+            let entry = this._cache.get(key);
+
+            if (entry && entry.time != null && now - entry.time > this.cache.ttl) entry = null; // expired
+            this._cache.delete(key);
+
+            if (!entry) {
+                const created = entry = { time: null, promise: this._send(request, undefined) }; // time: pending
+                created.promise.then(function () {
+                    created.time = Date.now();
+                }, function () {
+                    // Failed requests are not cached
+                    if (self._cache.get(key) === created) self._cache.delete(key);
+                });
+            }
+
+            // Most recently used last
+            this._cache.set(key, entry);
+            while (this._cache.size > this.cache.maxEntries) {
+                this._cache.delete(this._cache.keys().next().value);
             }
+            return entry.promise;
+        }
 
+        /**
+         * Request description for a state: the ajaxParams sent to the server (see README), plus
+         * the resolved url and method in url mode.
+         */
+        _buildRequest(state, columns) {
             const columnDefs = columns.filter(col => col.visible !== false).map(col => ({
                 key: col.key || '',
                 searchable: col.searchable !== false,
-                orderable:  col.sortable   !== false
+                orderable:  col.sortable   !== false,
+                sortType:   _dtResolveSortType(col)
             }));
 
             const ajaxParams = {
@@ -858,23 +1979,68 @@
                     pagingEnabled: state.pagingEnabled
                 },
                 searchText: state.searchText,
+                // Parsed advanced query (search.advanced), null otherwise
+                searchQuery: this.table ? this.table._getSearchQuery() : null,
                 columns : columnDefs,
                 order : state.sortOrders,
                 // Pass filters through to the server so backends can
-                // implement arbitrary filtering logic.
-                filters : state.filters || {}
+                // implement arbitrary filtering logic (declarative types as { op, ... }).
+                filters : this.table ? this.table._serializeFilters() : (state.filters || {}),
+                // Filter row values, keyed by column: { type, value | min/max | from/to | values }
+                columnFilters : this.table ? this.table._serializeColumnFilters() : {},
+                // Server-side grouping: rows are expected sorted by these keys, `groups` returned per group
+                grouping : this.table && this.table._hasGrouping() ? { keys: this.table.grouping.keys.slice() } : null,
+                // Footer aggregates by name ({ [columnKey]: 'sum' | 'avg' | ... }), computed over the filtered dataset
+                aggregates : this.table ? this.table._serializeAggregates('filtered') : {},
+                // ... and over the whole dataset (footer rows with scope 'all')
+                aggregatesAll : this.table ? this.table._serializeAggregates('all') : {}
             };
 
-            const buildParams = this.ajax.buildParams ?? function (s) {return s;};
-            const params = buildParams(ajaxParams);
+            if (this.fetchFn) {
+                return { state: state, columns: columns, ajaxParams: ajaxParams, url: null, method: null };
+            }
 
-            const method = (this.ajax.method || 'GET').toUpperCase();
-            const url = typeof this.ajax.url === 'function'
-                ? this.ajax.url({state: state, columns: columns})
-                : this.ajax.url;
+            return {
+                state: state,
+                columns: columns,
+                ajaxParams: ajaxParams,
+                method: (this.ajax.method || 'GET').toUpperCase(),
+                url: typeof this.ajax.url === 'function'
+                    ? this.ajax.url({state: state, columns: columns})
+                    : this.ajax.url
+            };
+        }
+
+        /**
+         * Send a request built by _buildRequest().
+         * @returns {Promise<{rows: Array, total: number}>}
+         */
+        _send(request, signal) {
+            const self = this;
+            const _handleFetchResponse = r => r.then(function (json) {
+                if (typeof self.ajax.transform === 'function') {
+                    json = self.ajax.transform(json);
+                }
+                const rows = Array.isArray(json) ? json : (json.data || json.rows || []);
+                const total = typeof json.total === 'number' ? json.total : rows.length;
+                const result = {rows: rows, total: total};
+                if (!Array.isArray(json)) {
+                    if (Array.isArray(json.groups)) result.groups = json.groups;
+                    if (isPlainObject(json.aggregates)) result.aggregates = json.aggregates;
+                    if (isPlainObject(json.aggregatesAll)) result.aggregatesAll = json.aggregatesAll;
+                }
+                return result;
+            });
+
+            if (this.fetchFn) {
+                return _handleFetchResponse(Promise.resolve(this.fetchFn({state: request.state, columns: request.columns, params: request.ajaxParams})));
+            }
+
+            const buildParams = this.ajax.buildParams ?? function (s) {return s;};
+            const params = buildParams(request.ajaxParams);
             const headers = this.ajax.headers || {};
 
-            return _handleFetchResponse(_dtAjaxRequest(url, { method, params, headers, signal: state.__signal }));
+            return _handleFetchResponse(_dtAjaxRequest(request.url, { method: request.method, params, headers, signal: signal }));
         }
     }
 
@@ -903,7 +2069,8 @@
             this.table = table;
             this.table.classList.add(TINY_TABLE_CLASSES.root);
 
-            this.id = this.table?.id || this.table.getAttribute('data-tt-id') || ('tt-' + Math.random().toString(36).slice(2));
+            var stableId = this.table?.id || this.table.getAttribute('data-tt-id');
+            this.id = stableId || ('tt-' + Math.random().toString(36).slice(2));
 
             const dataset = table.dataset;
             this.options = options || {};
@@ -923,6 +2090,33 @@
             this.scrollX = (this.options.scrollX !== undefined) ? this.options.scrollX : 'auto';
             this.scrollY = (this.options.scrollY !== undefined) ? this.options.scrollY : false;
 
+            // Sticky header / footer and frozen leading / trailing columns (position: sticky).
+            // `fixedColumns.left` counts data columns; the selection and row handle columns are pinned along with them.
+            var fixedColumnsOpt = this.options.fixedColumns;
+            this.fixedHeader = !!this.options.fixedHeader;
+            this.fixedFooter = !!this.options.fixedFooter;
+            this.fixedColumns = {
+                left: Math.max(0, parseInt(fixedColumnsOpt?.left, 10) || 0),
+                right: Math.max(0, parseInt(fixedColumnsOpt?.right, 10) || 0)
+            };
+
+            // Virtual scrolling: only the rows visible in the scroll wrapper (plus an
+            // overscan buffer) are materialized. Effective with scrollY and no paging.
+            var virtualOpt = this.options.virtualScroll;
+            this.virtualScroll = {
+                enabled: virtualOpt === true || !!(virtualOpt && virtualOpt.enabled),
+                rowHeight: (typeof virtualOpt?.rowHeight === 'number' && virtualOpt.rowHeight > 0) ? virtualOpt.rowHeight : null,
+                overscan: (typeof virtualOpt?.overscan === 'number' && virtualOpt.overscan >= 0) ? virtualOpt.overscan : 10
+            };
+
+            // Keyboard navigation (roving tabindex over header and body cells) and
+            // the polite live region announcing draw results (both opt-in)
+            var keyboardOpt = this.options.keyboard;
+            this.keyboard = {
+                enabled: keyboardOpt === true || !!(keyboardOpt && keyboardOpt.enabled !== false),
+                pageRows: (typeof keyboardOpt?.pageRows === 'number' && keyboardOpt.pageRows > 0) ? keyboardOpt.pageRows : 10
+            };
+            this.liveRegionEnabled = this.options.liveRegion === true;
 
             // Internal draw sequencing for async safety (Ajax) + performance caches
             this._internals = {
@@ -932,7 +2126,23 @@
                 visibleColumnCount: null,
                 renderPlan: null,
                 lastHighlightQuery: null,
-                tooltipsDelegated: false
+                tooltipsDelegated: false,
+                virtual: null,
+                virtualScrollPending: false,
+                searchQuery: null,
+                activeCell: null,
+                activePos: null,
+                restoreFocus: false,
+                lastAnnouncement: '',
+                columnResize: false,
+                resizing: false,
+                fixedLayout: false,
+                serverGroups: null,
+                serverAggregates: null,
+                serverAggregatesAll: null,
+                aggregateRows: null,
+                groupRowsIndex: null,
+                selectColumnWidth: 0
             };
 
             this._events = Object.create(null);
@@ -1000,11 +2210,14 @@
                     ? this.options.footer.enabled
                     : false,
 
-                // NEW (no back-compat): { [columnKey]: 'sum'|'avg'|function }
+                // NEW (no back-compat): { [columnKey]: 'sum'|'avg'|function|{ aggregator, scope } }
                 aggregates: (this.options.footer?.aggregates && typeof this.options.footer.aggregates === 'object')
                     ? this.options.footer.aggregates
                     : {}
             };
+            // One footer row per entry of `footer.rows` ({ label, className, scope, aggregates }),
+            // else a single row built from `footer.aggregates`
+            this.footer.rows = _dtNormalizeFooterRows(this.options.footer || {});
 
             this.childRows = {
                 enabled: !!this.options.childRows?.enabled,
@@ -1033,9 +2246,28 @@
 
             // Grouping configuration
             var groupingOpt = this.options.grouping || {};
+            // Grouping panel in the controls bar: drop column headers on it to group (one level per column)
+            var groupingPanelOpt = groupingOpt.panel;
+            var groupingPanel = {
+                enabled: groupingPanelOpt === true || !!(groupingPanelOpt && groupingPanelOpt.enabled),
+                order: (typeof groupingPanelOpt?.order === 'number') ? groupingPanelOpt.order : 4,
+                align: groupingPanelOpt?.align,
+                placeholder: groupingPanelOpt?.placeholder
+            };
+            // Nested grouping: `levels` ([{ key, header: { show, render }, aggregates }] or keys), or
+            // `nested: true` to turn each of `keys` into a level. Otherwise `keys` form one composite level.
+            var levelsOpt = Array.isArray(groupingOpt.levels) ? groupingOpt.levels
+                : ((groupingOpt.nested || groupingPanel.enabled) ? (Array.isArray(groupingOpt.keys) ? groupingOpt.keys : []) : null);
+            var groupLevels = levelsOpt ? _dtNormalizeGroupLevels(levelsOpt) : null;
+
             this.grouping = {
-                enabled: !!groupingOpt.enabled,
-                keys: Array.isArray(groupingOpt.keys) ? groupingOpt.keys.slice() : null,
+                enabled: !!groupingOpt.enabled || groupingPanel.enabled,
+                keys: groupLevels ? groupLevels.map(function (l) { return l.key; })
+                    : (Array.isArray(groupingOpt.keys) ? groupingOpt.keys.slice() : null),
+                levels: groupLevels,
+                // Configured level options, reused when setGrouping() brings a key back
+                levelDefs: groupLevels ? groupLevels.slice() : null,
+                panel: groupingPanel,
                 mergeColumns: Array.isArray(groupingOpt.mergeColumns) ? groupingOpt.mergeColumns.slice() : [],
                 header: {
                     show: groupingOpt.header?.show !== undefined
@@ -1044,8 +2276,23 @@
                     render: typeof groupingOpt.header?.render === 'function'
                         ? groupingOpt.header.render
                         : null
-                }
+                },
+                // Per-group aggregates ({ [columnKey]: 'sum' | function | { aggregator } }) shown in the
+                // group header row or in a group footer row
+                aggregates: isPlainObject(groupingOpt.aggregates) ? groupingOpt.aggregates : null,
+                aggregatesPosition: groupingOpt.aggregatesPosition === 'footer' ? 'footer' : 'header',
+                // Clicking a group header collapses / expands the group rows (opt-in)
+                collapsible: groupingOpt.collapsible === true,
+                startCollapsed: !!groupingOpt.startCollapsed
+            };
+            // Collapsed groups: every group follows `collapsedByDefault` except the toggled ones
+            this._groupState = {
+                collapsedByDefault: this.grouping.startCollapsed,
+                toggled: new Set()
             };
+
+            // Pivot mode (local data): the columns are generated from the pivoted rows on each draw
+            this.pivot = _dtNormalizePivot(this.options.pivot);
             this.customClass = this.options.customClass;
 
             // High-level search configuration (controls visibility of the
@@ -1055,9 +2302,15 @@
                 selector: this.options.search?.selector,
                 label: this.options.search?.label,
                 placeholder: this.options.search?.placeholder || this.texts.searchPlaceholder,
-                debounceMs: (typeof this.options.search?.debounceMs === 'number') ? this.options.search.debounceMs : 150
+                debounceMs: (typeof this.options.search?.debounceMs === 'number') ? this.options.search.debounceMs : 150,
+                // Query syntax: terms ANDed, "phrases", -exclusions, col:value, col:>100
+                advanced: this.options.search?.advanced === true,
+                normalize: _normalizeSearchFolding(this.options.search?.normalize)
             };
 
+            // String sorting: Intl.Collator for this.locale (numeric, configurable sensitivity)
+            this.collator = _dtCreateCollator(this.locale, this.options.collation?.sensitivity);
+
             // Column filters configuration (purely declarative; the LocalDataSource
             // and AjaxDataSource implementations are responsible for applying filters).
             var filtersOpt = this.options.filters || {};
@@ -1066,6 +2319,41 @@
                 items: Array.isArray(filtersOpt.items) ? filtersOpt.items : []
             };
 
+            // Filter row: one filter control per column in a second header row
+            // (column option `filter`: false | 'text' | 'number' | 'date' | 'select' | { type, options, placeholder }).
+            var filterRowOpt = this.options.filterRow;
+            this.filterRow = {
+                enabled: filterRowOpt === true || !!(filterRowOpt && filterRowOpt.enabled),
+                debounceMs: (typeof filterRowOpt?.debounceMs === 'number') ? filterRowOpt.debounceMs : 300
+            };
+
+            // Column reordering by dragging header cells (column option `reorderable: false` pins a column)
+            var colReorderOpt = this.options.colReorder;
+            this.colReorder = {
+                enabled: colReorderOpt === true || !!(colReorderOpt && colReorderOpt.enabled)
+            };
+
+            // Row reordering: drag handle column, moves rows within the page (and group)
+            var rowReorderOpt = this.options.rowReorder;
+            this.rowReorder = {
+                enabled: rowReorderOpt === true || !!(rowReorderOpt && rowReorderOpt.enabled)
+            };
+
+            // Live updates (liveUpdate()): optional flash of the changed cells
+            var liveOpt = this.options.live;
+            this.live = {
+                flash: !!(liveOpt && liveOpt.flash),
+                flashDuration: (typeof liveOpt?.flashDuration === 'number') ? liveOpt.flashDuration : 1000
+            };
+
+            // Column resizing (column option `resizable` overrides the global switch)
+            var resizableOpt = this.options.resizable;
+            this.resizable = {
+                enabled: resizableOpt === true || !!(resizableOpt && resizableOpt.enabled),
+                minWidth: (typeof resizableOpt?.minWidth === 'number') ? resizableOpt.minWidth : 30,
+                maxWidth: (typeof resizableOpt?.maxWidth === 'number') ? resizableOpt.maxWidth : null
+            };
+
             // Selection configuration
 
             var selectOpt = this.options.select;
@@ -1119,9 +2407,37 @@
                 searchText: '',
                 sortOrders: _normalizeDefaultSort(this.options.defaultSort||this.options.order, this.columns),
                 totalRows: 0,
-                filters: initialFiltersState
+                filters: initialFiltersState,
+                columnFilters: {}
+            };
+
+            // State persistence (localStorage / sessionStorage), keyed by the table id
+            var stateSaveOpt = this.options.stateSave;
+            this.stateSave = {
+                enabled: stateSaveOpt === true || !!(stateSaveOpt && stateSaveOpt.enabled),
+                storage: (stateSaveOpt && stateSaveOpt.storage === 'session') ? 'session' : 'local',
+                key: (stateSaveOpt && stateSaveOpt.key) || ('TinyDataTable_' + this.id),
+                // Max age of a saved state in seconds (0 = never expires)
+                duration: (typeof stateSaveOpt?.duration === 'number') ? stateSaveOpt.duration : 0
             };
 
+            // A random fallback id would save on every draw but never restore
+            if (this.stateSave.enabled && !stableId && !(stateSaveOpt && stateSaveOpt.key)) {
+                console.warn('TinyDataTable: stateSave needs a table id, data-tt-id or stateSave.key, stateSave disabled');
+                this.stateSave.enabled = false;
+            }
+
+            // Setters used to reflect state changes (setState) into the filter controls
+            this._filterControls = Object.create(null);
+            this._columnFilterControls = Object.create(null);
+
+            // Restore saved values before the controls are built so they show the restored state
+            this._loadedState = this.stateSave.enabled ? this._readSavedState() : null;
+            if (this._loadedState) {
+                this._applyStateValues(this._loadedState);
+                this._applyColumnsState(this._loadedState.columns, false);
+            }
+
 
             this._expandedRowKeys = new Set();
             this._childRowsInitialized = false;
@@ -1142,7 +2458,34 @@
             const useAjax = ajaxUrl || typeof this.options.ajax?.fetch === 'function';
             const loadOnce = !!loadOnceUrl || this.options.ajax?.loadOnce === true;
 
-            if (useAjax && loadOnce) {
+            const dataSourceOpt = this.options.dataSource;
+
+            if (typeof dataSourceOpt === 'string') {
+                // Registered custom source (TinyDataTable.registerDataSource)
+                const DataSourceCtor = TinyDataTable.dataSources[dataSourceOpt];
+                if (!DataSourceCtor) {
+                    throw new Error('DataSource Error: unknown data source "' + dataSourceOpt + '"');
+                }
+                this.dataSource = new DataSourceCtor(this.options.dataSourceOptions ?? {}, this);
+                // A subclass without its own constructor passes the options to DataSource(table)
+                this.dataSource.table = this;
+                // Sources that do not keep the rows in memory page / sort / filter like Ajax
+                this._isAjax = !(this.dataSource instanceof LocalDataSource);
+
+            } else if (dataSourceOpt) {
+                if (typeof dataSourceOpt.load !== 'function') {
+                    throw new Error('DataSource Error: dataSource must be a registered name or an object with load()');
+                }
+                this.dataSource = dataSourceOpt;
+                if (!this.dataSource.table) this.dataSource.table = this;
+                this._isAjax = !(this.dataSource instanceof LocalDataSource);
+
+            } else if (this.options.stream && this.options.stream.url) {
+                // Streaming: WebSocket / SSE messages feed a local source (search/sort/paging in memory)
+                this.dataSource = new StreamDataSource(this.options.stream, this);
+                this._isAjax = false;
+
+            } else if (useAjax && loadOnce) {
                 // Hybrid: ajax once, then fully local (search/sort/paging)
                 this.options.ajax = this.options.ajax || {};
                 this.options.ajax.url = ajaxUrl;
@@ -1172,11 +2515,42 @@
                 throw new Error('DataSource Error: no ajax url and no data array provided.');
             }
 
+            // The pivot is computed client-side, from the rows of a local (or load-once) data source
+            if (this.pivot.enabled && !(this.dataSource instanceof LocalDataSource)) {
+                console.warn('TinyDataTable: pivot mode needs local data (data or ajax.loadOnce), pivot disabled');
+                this.pivot.enabled = false;
+            }
+            // Features working on source rows / columns do not apply to the generated pivot
+            if (this.pivot.enabled) {
+                var pivotUnsupported = [];
+                if (this.grouping.enabled) {
+                    pivotUnsupported.push('grouping');
+                    this.grouping.enabled = false;
+                    this.grouping.panel.enabled = false;
+                }
+                if (this.childRows.enabled) {
+                    pivotUnsupported.push('childRows');
+                    this.childRows.enabled = false;
+                }
+                if (this.filterRow.enabled) {
+                    pivotUnsupported.push('filterRow');
+                    this.filterRow.enabled = false;
+                }
+                if ((this.options.columns || []).some(function (col) { return col && col.editable; })) {
+                    pivotUnsupported.push('inline editing');
+                }
+                if (pivotUnsupported.length) {
+                    console.warn('TinyDataTable: ' + pivotUnsupported.join(', ') + ' not supported in pivot mode, disabled');
+                }
+            }
+
 
             this.thead = null;
             this.tbody = null;
             this.tfoot = null;
             this.footerRow = null;
+            this.footerRows = [];
+            this.colgroup = null;
             this.pagerContainer = null;
             this.pager = null;
 
@@ -1187,10 +2561,21 @@
             this._ensureContainer();
             this._initWrapper();
             this._initStructure();
+
+            // Saved column order needs the header cells, so it is applied after the structure
+            if (this._loadedState && Array.isArray(this._loadedState.columns)) {
+                this._applyColumnsState(this._loadedState.columns, true);
+                this._renderHeaderRow();
+                this._renderFooterRow();
+            }
+
             //this._emit('init', {});
             if (typeof this.options.afterInit === 'function') {
                 this.options.afterInit.call(this.api());
             }
+            if (this._loadedState) {
+                this._emit('stateLoaded', { state: this._loadedState });
+            }
             this.draw();
         }
 
@@ -1442,8 +2827,23 @@
                 const rows = Array.isArray(result && result.rows) ? result.rows : [];
                 const total = (result && typeof result.total === 'number') ? result.total : rows.length;
 
+                // Pivot mode: the generated columns follow the pivoted data
+                if (result && Array.isArray(result.pivotColumns)) self._setPivotColumns(result.pivotColumns);
+
+                // Page out of range (e.g. restored state on a smaller dataset): go to the last page
+                if (!rows.length && total > 0 && self.state.pagingEnabled && self.state.page > 1) {
+                    self.state.page = Math.max(1, Math.ceil(total / self.state.pageSize));
+                    return self.draw();
+                }
+
                 self.state.totalRows = total;
                 self._lastPageRows = rows;
+                self._internals.aggregateRows = null;
+
+                // Server-computed group summaries / footer aggregates (Ajax protocol), reset every draw
+                self._internals.serverGroups = self._indexServerGroups(result && result.groups);
+                self._internals.serverAggregates = (result && isPlainObject(result.aggregates)) ? result.aggregates : null;
+                self._internals.serverAggregatesAll = (result && isPlainObject(result.aggregatesAll)) ? result.aggregatesAll : null;
 
                 if (self._isAjax) {
                     self._emit('xhr', {
@@ -1458,8 +2858,7 @@
                 if (self.pager) self.pager.update();
                 self._updateSortIndicators();
 
-                const allRowsForFooter = self._getAllVisibleRowsForAggregates(rows);
-                self._updateFooterAggregates(allRowsForFooter);
+                self._updateFooterAggregates(rows);
 
                 self._postBodyRender(rows);
 
@@ -1474,10 +2873,14 @@
                     dom: self.getDom()
                 };
 
+                self._announceDraw();
+
                 self._emit('draw', drawSettings);
                 if (typeof self.options.drawCallback === 'function') {
                     self.options.drawCallback.call(self.api(), drawSettings);
                 }
+
+                if (self.stateSave.enabled) self._saveState();
             }
 
             if (self._isAjax) self.table.classList.add(TINY_TABLE_CLASSES.loading);
@@ -1526,6 +2929,58 @@
             if (typeof this.dataSource.refresh === 'function') this.dataSource.refresh();
                 return this.draw();
         }
+
+        /**
+         * Drop the Ajax responses cached with `ajax.cache` (the next draw hits the server).
+         */
+        invalidateCache() {
+            if (typeof this.dataSource.invalidateCache === 'function') this.dataSource.invalidateCache();
+        }
+
+        /**
+         * Parsed advanced search query for the current search text (cached per text).
+         * Column-scoped terms get the resolved column `key`; unknown columns are searched as plain text.
+         * @returns {{terms: Array<{value:string, negate:boolean, phrase:boolean, key:string|null, op:string|null}>}|null}
+         *          null when `search.advanced` is off or the search text is empty
+         */
+        _getSearchQuery() {
+            var text = (this.state.searchText || '').trim();
+            if (!this.searchConfig.advanced || !text) return null;
+
+            var cache = this._internals.searchQuery;
+            if (cache && cache.text === text) return cache.query;
+
+            // Pivot mode: the search applies to the source rows, so to the source columns
+            var byName = Object.create(null);
+            (this.pivot.enabled && this.pivot.sourceColumns || this.columns).forEach(function (col) {
+                if (!col.key || col.isSyntheticKey) return;
+                if (col.title) byName[String(col.title).toLowerCase()] = col.key;
+                byName[String(col.key).toLowerCase()] = col.key;
+            });
+
+            var terms = _dtParseSearchQuery(text).map(function (t) {
+                var key = t.field ? byName[t.field.toLowerCase()] : null;
+                if (t.field && !key) {
+                    // Not a column: search the token literally ("http://...", "10:30")
+                    return { value: t.raw.replace(/^"|"$/g, ''), negate: t.negate, phrase: t.phrase, key: null, op: null };
+                }
+                return { value: t.value, negate: t.negate, phrase: t.phrase, key: key || null, op: t.op };
+            });
+
+            var query = terms.length ? { terms: terms } : null;
+            this._internals.searchQuery = { text: text, query: query };
+            return query;
+        }
+
+        /**
+         * Fold a value for search comparisons according to `search.normalize`.
+         * @param {*} value
+         * @returns {string}
+         */
+        _normalizeSearchText(value) {
+            return _dtFoldText(value, this.searchConfig.normalize);
+        }
+
         /**
          * Set the global search text and re-draw.
          * @param {string} text
@@ -1721,896 +3176,3352 @@
         }
 
         /**
-         * Get the currently selected row keys.
-         * The key is determined by `columns[].key` + internal row-key rules (see README).
-         * @returns {Array<string>}
+         * Get a row by key: from the local data, or from the current page in Ajax mode.
+         * @param {string} rowKey
+         * @returns {Object|null}
          */
-
-        getSelectedRowKeys() {
-            return Array.from(this._selectedRowKeys);
+        getRow(rowKey) {
+            var found = this._findDataRow(rowKey);
+            return found ? found.row : null;
         }
 
         /**
-         * Get the data objects of the currently selected rows.
-         * @returns {Array<Object>}
+         * Add a row to the local data and patch the current page (kept) with it.
+         * @param {Object} row
+         * @param {{position?: 'start'|'end'|number}} [opts] position in the data order (default 'end')
          */
-
-        getSelectedRows() {
-            var result = [];
-            var keys = this.getSelectedRowKeys();
-            var dataMap = this._rowDataByKey || {};
-            for (var i = 0; i < keys.length; i++) {
-                var k = keys[i];
-                if (Object.prototype.hasOwnProperty.call(dataMap, k)) {
-                    result.push(dataMap[k]);
-                }
-            }
-            return result;
+        addRow(row, opts) {
+            return this.addRows([row], opts);
         }
 
         /**
-         * Clear current selection and re-draw selection UI.
+         * Add rows to the local data and patch the current page (kept): rendered rows stay in the DOM,
+         * only rows entering the page are rendered.
+         * @param {Array<Object>} rows
+         * @param {{position?: 'start'|'end'|number}} [opts] position in the data order (default 'end')
          */
+        addRows(rows, opts) {
+            if (!(this.dataSource instanceof LocalDataSource)) {
+                throw new Error('addRows is only available in local data mode');
+            }
+            var self = this;
+            rows = (Array.isArray(rows) ? rows : []).filter(function (row) { return row && typeof row === 'object'; });
+            if (!rows.length) return;
 
-        clearSelection() {
-            this._selectedRowKeys.clear();
-            this._syncSelectionDomAndHeader();
-            this._emit('select', {
-                mode: 'clear',
-                rowKey: null,
-                checked: false,
-                affectedRowKeys: [],
-                selectedRowKeys: this.getSelectedRowKeys()
+            var index = this.dataSource.insertRows(rows, opts && opts.position);
+
+            this._emit('rowAdded', {
+                rows: rows,
+                rowKeys: rows.map(function (row, i) { return self._getRowKey(row, index + i, 'parent'); }),
+                index: index
             });
+            return this._refreshPage(new Map(), false, rows);
         }
 
         /**
-         * Select a row by its rowKey.
+         * Merge `patch` into a row. When the row is on the current page and the change cannot
+         * move it (sort / search / filters / grouping), only its <tr> is re-rendered; otherwise the
+         * table re-draws. Ajax mode: patches the page row in place.
          * @param {string} rowKey
+         * @param {Object} patch
          */
-
-        selectRow(rowKey) {
-            if (!rowKey) return;
-            this._selectedRowKeys.add(String(rowKey));
-            this._syncSelectionDomAndHeader();
+        updateRow(rowKey, patch) {
+            var found = this._findDataRow(rowKey);
+            if (!found || !isPlainObject(patch)) return;
+
+            var row = found.row;
+            var oldKey = String(rowKey);
+            var keys = Object.keys(patch);
+            var oldValues = {};
+            keys.forEach(function (k) { oldValues[k] = row[k]; });
+            Object.assign(row, patch);
+
+            // The key may come from the patched fields (id, childRows.rowId)
+            var newKey = this._getRowKey(row, found.index, 'parent');
+            if (newKey !== oldKey) this._renameRowKey(oldKey, newKey);
+            this.invalidateCache();
+
+            this._emit('rowUpdated', { rowKey: newKey, oldRowKey: oldKey, row: row, changes: patch, oldValues: oldValues });
+
+            if (!this._isAjax && this._rowPatchNeedsRedraw(keys)) return this.draw();
+            this._rerenderRow(oldKey, newKey, row);
         }
 
         /**
-         * Unselect a row by its rowKey.
+         * Remove a row from the local data and patch the current page: its nodes are removed and rows
+         * shifted in by paging are rendered (its selection / expanded state is dropped).
          * @param {string} rowKey
          */
+        removeRow(rowKey) {
+            if (!(this.dataSource instanceof LocalDataSource)) {
+                throw new Error('removeRow is only available in local data mode');
+            }
+            var found = this._findDataRow(rowKey);
+            if (!found) return;
 
-        unselectRow(rowKey) {
-            if (!rowKey) return;
-            this._selectedRowKeys.delete(String(rowKey));
-            this._syncSelectionDomAndHeader();
+            var key = String(rowKey);
+            this.dataSource.original.splice(found.index, 1);
+            this._selectedRowKeys.delete(key);
+            this._expandedRowKeys.delete(key);
+            delete this._rowDataByKey[key];
+
+            this._emit('rowRemoved', { rowKey: key, row: found.row, index: found.index });
+            return this._refreshPage(new Map(), false, null);
         }
 
         /**
-         * Select all selectable rows on the current page.
+         * @returns {{row:Object, index:number}|null} the row and its index in the local data (or page, Ajax)
          */
+        _findDataRow(rowKey) {
+            if (rowKey == null) return null;
+            var key = String(rowKey);
+            var rows = this.dataSource instanceof LocalDataSource ? this.dataSource.original : (this._lastPageRows || []);
+            for (var i = 0; i < rows.length; i++) {
+                if (this._getRowKey(rows[i], i, 'parent') === key) return { row: rows[i], index: i };
+            }
+            return null;
+        }
 
-        selectAllOnPage() {
-            var self = this;
-            if (!this._pageParentRowKeys) return;
-            this._pageParentRowKeys.forEach(function (k) {
-                self._selectedRowKeys.add(k);
+        _renameRowKey(oldKey, newKey) {
+            [this._selectedRowKeys, this._expandedRowKeys].forEach(function (set) {
+                if (set.delete(oldKey)) set.add(newKey);
             });
-            this._syncSelectionDomAndHeader();
+            if (this._rowDataByKey[oldKey]) {
+                this._rowDataByKey[newKey] = this._rowDataByKey[oldKey];
+                delete this._rowDataByKey[oldKey];
+            }
+            var pageIndex = (this._pageParentRowKeys || []).indexOf(oldKey);
+            if (pageIndex !== -1) this._pageParentRowKeys[pageIndex] = newKey;
         }
 
         /**
-         * Unselect all rows on the current page.
+         * Whether changing `keys` of a row may change the rows of the page or their order.
          */
+        _rowPatchNeedsRedraw(keys) {
+            if (this._hasGrouping() || this._isVirtualScrollActive() || this.pivot.enabled) return true;
+            if (this.childRows.enabled && keys.indexOf(this.childRows.dataKey) !== -1) return true;
 
-        unselectAllOnPage() {
-            var self = this;
-            if (!this._pageParentRowKeys) return;
-            this._pageParentRowKeys.forEach(function (k) {
-                self._selectedRowKeys.delete(k);
-            });
-            this._syncSelectionDomAndHeader();
-        }
-
+            var sortKeys = (this.state.sortOrders || []).map(function (o) { return o.key; });
+            if (keys.some(function (k) { return sortKeys.indexOf(k) !== -1; })) return true;
 
-        _loadLazyChildren(rowKey) {
-            const cfg = this.childRows;
-            if (!cfg.lazyLoad) return Promise.resolve([]);
-            const parent = this._rowDataByKey[rowKey];
-            if (!parent) return Promise.resolve([]);
-            const parentId = cfg.rowId ? cfg.rowId(parent) : parent.id;
-            if (!parentId) return Promise.resolve([]);
-            if (!this._isAjax || !this.options.ajax?.url) return Promise.resolve([]);
-            return _dtAjaxRequest(this.options.ajax.url, {
-                params: {child: true, rowId: parentId}
-            }).then(json => Array.isArray(json) ? json : []);
+            if (this.state.searchText && this.state.searchText.trim() !== '') return true;
+            if (this._getActiveColumnFilters().length) return true;
+            return !!(this.filters.enabled && this.state.filters && Object.keys(this.state.filters).length);
         }
 
         /**
-         * Expand child rows for the given parent rowKey.
-         * If `childRows.lazyLoad` is enabled, this may trigger a children Ajax request.
-         * @param {string} rowKey
+         * Re-render a parent row of the page in place (its child rows stay) and refresh the footer.
          */
+        _rerenderRow(oldKey, newKey, row) {
+            var tr = null;
+            Array.prototype.some.call(this.tbody ? this.tbody.rows : [], function (el) {
+                if (el.dataset.rowKey !== oldKey || el.classList.contains(TINY_TABLE_CLASSES.childRow)) return false;
+                tr = el;
+                return true;
+            });
 
-        expandChildRows(rowKey) {
-            if (!this.childRows.enabled || !rowKey) return;
-            const afterInsertChildRows = (rowKey) => {
-                this._insertChildRowsForParent(rowKey);
-                this._emit("childShown", {rowKey});
-            }
-            const dataKey = this.childRows.dataKey || "children";
-            const row = this._rowDataByKey[rowKey];
-            if (this.childRows.lazyLoad && (!row[dataKey] || row[dataKey].length === 0)) {
-                this._expandedRowKeys.add(rowKey);
-                return this._loadLazyChildren(rowKey).then(children => {
-                    row[dataKey] = children || [];
-                    afterInsertChildRows(rowKey);
-                });
-            } else {
-                this._expandedRowKeys.add(rowKey);
-                afterInsertChildRows(rowKey);
+            var index = Array.isArray(this._lastPageRows) ? this._lastPageRows.indexOf(row) : -1;
+            if (tr && index !== -1) {
+                tr.replaceWith(this._renderFlatParentRow(row, index, newKey, false));
+                if (newKey !== oldKey) {
+                    Array.prototype.forEach.call(this.tbody.rows, function (el) {
+                        if (el.dataset.parentKey === oldKey) el.dataset.parentKey = newKey;
+                    });
+                }
+                this._postBodyRender(this._lastPageRows);
             }
+
+            // Footer aggregates may cover rows of other pages
+            this._internals.aggregateRows = null;
+            this._updateFooterAggregates(this._lastPageRows);
         }
 
         /**
-         * Collapse child rows for the given parent rowKey.
-         * @param {string} rowKey
+         * Apply upsert / delete patches to the local data without a full redraw. The current page is
+         * only reloaded (sort, filters, paging) when a patch can change it, then diffed against the
+         * rendered rows: kept rows stay in the DOM, changed cells are patched in place.
+         * Grouping, virtual scrolling and pivot mode fall back to draw().
+         *
+         * @param {Array<{op:'upsert', row:Object}|{op:'delete', id:string}>} patches keyed by row id
+         * @param {{flash?: boolean}} [opts] `flash` overrides the `live.flash` option
+         * @returns {Promise<{added:string[], updated:string[], removed:string[]}>}
          */
+        liveUpdate(patches, opts) {
+            if (!(this.dataSource instanceof LocalDataSource)) {
+                throw new Error('liveUpdate is only available in local data mode');
+            }
+            var self = this;
+            var data = this.dataSource.original;
+            var flash = (opts && typeof opts.flash === 'boolean') ? opts.flash : this.live.flash;
+            var byKey = new Map();
+            var added = [];
+            var removedKeys = new Set();
+            var changed = new Map(); // rowKey -> patched fields
+            var fields = [];
+
+            data.forEach(function (row, i) {
+                byKey.set(self._getRowKey(row, i, 'parent'), row);
+            });
 
-        collapseChildRows(rowKey) {
-            if (!this.childRows.enabled || !rowKey) return;
-            if (!this._expandedRowKeys.has(rowKey)) return;
+            (Array.isArray(patches) ? patches : [patches]).forEach(function (patch) {
+                if (!patch || typeof patch !== 'object') return;
+                var row = patch.row;
+
+                if (patch.op === 'delete') {
+                    var key = patch.id != null ? String(patch.id) : (row ? self._getPatchRowKey(row) : null);
+                    var existing = key != null ? byKey.get(key) : null;
+                    if (!existing) return;
+                    byKey.delete(key);
+                    changed.delete(key);
+                    if (added.indexOf(existing) !== -1) added.splice(added.indexOf(existing), 1);
+                    else removedKeys.add(key);
+                    return;
+                }
 
-            this._expandedRowKeys.delete(rowKey);
-            this._emit('childHidden', {rowKey: rowKey});
+                if (!row || typeof row !== 'object') return;
+                var rowKey = self._getPatchRowKey(row);
+                if (rowKey == null) {
+                    console.warn('TinyDataTable: liveUpdate upsert without a row key (id or childRows.rowId), ignored:', row);
+                    return;
+                }
+                var current = byKey.get(rowKey);
 
-            // Only remove the child rows for this parent
-            this._removeChildRowsForParent(rowKey);
+                if (!current) {
+                    added.push(row);
+                    byKey.set(rowKey, row);
+                    return;
+                }
+
+                var diff = Object.keys(row).filter(function (k) { return current[k] !== row[k]; });
+                if (!diff.length) return;
+                Object.assign(current, row);
+                if (added.indexOf(current) !== -1) return;
+                changed.set(rowKey, (changed.get(rowKey) || []).concat(diff));
+                diff.forEach(function (k) { if (fields.indexOf(k) === -1) fields.push(k); });
+            });
+
+            if (removedKeys.size) {
+                for (var i = data.length - 1; i >= 0; i--) {
+                    if (removedKeys.has(this._getRowKey(data[i], i, 'parent'))) data.splice(i, 1);
+                }
+                removedKeys.forEach(function (key) {
+                    self._selectedRowKeys.delete(key);
+                    self._expandedRowKeys.delete(key);
+                    delete self._rowDataByKey[key];
+                });
+            }
+            if (added.length) this.dataSource.insertRows(added, 'end');
+
+            var result = {
+                added: added.map(function (row) { return self._getRowKey(row, -1, 'parent'); }),
+                updated: Array.from(changed.keys()),
+                removed: Array.from(removedKeys)
+            };
+            function done() {
+                self._emit('liveUpdate', result);
+                return result;
+            }
+
+            if (!result.added.length && !result.updated.length && !result.removed.length) return Promise.resolve(result);
+
+            // Only value changes that cannot move a row: the page stays the same
+            if (Array.isArray(this._lastPageRows) && !this._hasGrouping() && !this._isVirtualScrollActive() && !this.pivot.enabled &&
+                !added.length && !removedKeys.size && !this._rowPatchNeedsRedraw(fields)) {
+                this._patchPage(this._lastPageRows, changed, flash, null);
+                return Promise.resolve(done());
+            }
+
+            return this._refreshPage(changed, flash, added).then(done);
         }
 
         /**
-         * Toggle child rows for the given parent rowKey.
-         * @param {string} rowKey
+         * Key of a patch row (id, childRows.rowId or the __dt_index of a loaded row).
+         * @returns {string|null} null when the row has none
          */
+        _getPatchRowKey(row) {
+            var key = this._getRowKey(row, -1, 'parent');
+            return key === 'parent--1' ? null : key;
+        }
 
-        toggleChildRows(rowKey) {
-            if (!this.childRows.enabled || !rowKey) return;
-            if (this._expandedRowKeys.has(rowKey)) {
-                this.collapseChildRows(rowKey);
-            } else {
-                this.expandChildRows(rowKey);
+        /**
+         * Reload the current page from the local data (sort, filters, paging) and patch it into the
+         * body. Grouping, virtual scrolling and pivot mode fall back to draw().
+         * @param {Map<string, string[]>} changed rowKey -> patched fields
+         * @param {boolean} flash
+         * @param {Array<Object>|null} added rows added to the data
+         * @returns {Promise}
+         */
+        _refreshPage(changed, flash, added) {
+            var self = this;
+            if (!Array.isArray(this._lastPageRows) || this._hasGrouping() || this._isVirtualScrollActive() || this.pivot.enabled) {
+                return this.draw();
             }
+
+            return this.dataSource.load(this.state, this.columns).then(function (res) {
+                var rows = Array.isArray(res && res.rows) ? res.rows : [];
+                var total = (res && typeof res.total === 'number') ? res.total : rows.length;
+
+                // The page emptied (last rows deleted): draw() moves to the new last page
+                if (!rows.length && total > 0 && self.state.pagingEnabled && self.state.page > 1) return self.draw();
+
+                self.state.totalRows = total;
+                self._patchPage(rows, changed, flash, added);
+                if (self.pager) self.pager.update();
+            });
         }
 
         /**
-         * Collapse all currently expanded child rows.
+         * Reconcile the flat body with the rows of the new page: rows already rendered are kept
+         * (and moved if needed), changed rows get their differing cells replaced, new rows are rendered.
+         * @param {Array<Object>} rows new page rows
+         * @param {Map<string, string[]>} changed rowKey -> patched fields
+         * @param {boolean} flash
+         * @param {Array<Object>|null} added rows added by the patch (flashed as a whole)
          */
+        _patchPage(rows, changed, flash, added) {
+            var self = this;
+            var tbody = this.tbody;
+            var oldRows = this._lastPageRows || [];
+            var renderedNodes = [tbody]; // scopes for the tooltips of new cells
 
-        collapseAllChildRows() {
-            if (!this.childRows.enabled) return;
-            if (this._expandedRowKeys.size === 0) return;
+            this._lastPageRows = rows;
+            this._internals.aggregateRows = null;
 
-            this._expandedRowKeys.clear();
-            this._emit('childHidden', {rowKey: null, all: true});
+            if (!rows.length || !oldRows.length) {
+                // The empty-state row is not a data row: render the page as a whole
+                this._renderBody(rows);
+            } else {
+                // Rendered nodes by parent key: the parent <tr> followed by its expanded child rows
+                var nodesByKey = {};
+                Array.prototype.forEach.call(tbody.rows, function (tr) {
+                    if (!tr.classList.contains(TINY_TABLE_CLASSES.childRow)) nodesByKey[tr.dataset.rowKey] = [tr];
+                    else if (nodesByKey[tr.dataset.parentKey]) nodesByKey[tr.dataset.parentKey].push(tr);
+                });
 
-            // Remove all child rows in one shot
-            if (this.tbody) {
-                var childSelector = 'tr.' + TINY_TABLE_CLASSES.childRow;
-                this.tbody.querySelectorAll(childSelector).forEach(function (tr) {
-                    tr.remove();
+                var anchor = tbody.firstChild;
+                this._pageParentRowKeys = [];
+                renderedNodes = [];
+
+                rows.forEach(function (row, index) {
+                    var rowKey = self._getRowKey(row, index, 'parent');
+                    var nodes = nodesByKey[rowKey];
+                    var fields = changed.get(rowKey);
+
+                    if (nodes && fields && self.childRows.enabled && fields.indexOf(self.childRows.dataKey) !== -1) {
+                        nodes = null; // children changed: render the row again
+                    } else if (nodes) {
+                        delete nodesByKey[rowKey];
+                        if (fields) renderedNodes = renderedNodes.concat(self._patchRowCells(nodes[0], row, index, rowKey, flash));
+                        self._pageParentRowKeys.push(rowKey);
+                    }
+
+                    if (!nodes) {
+                        var frag = document.createDocumentFragment();
+                        self._appendFlatRow(frag, row, index, false);
+                        nodes = Array.prototype.slice.call(frag.childNodes);
+                        renderedNodes = renderedNodes.concat(nodes);
+                        if (flash && added && added.indexOf(row) !== -1) self._flashLiveNode(nodes[0], TINY_TABLE_CLASSES.rowFlash);
+                    }
+
+                    nodes.forEach(function (node) {
+                        if (node === anchor) anchor = anchor.nextSibling;
+                        else tbody.insertBefore(node, anchor);
+                    });
                 });
 
-                // Reset all toggle icons
-                var iconSelector = '.' + TINY_TABLE_CLASSES.toggleIcon + '[data-tt-toggle="row"].expanded';
-                this.tbody.querySelectorAll(iconSelector).forEach(function (icon) {
-                    icon.classList.remove('expanded');
+                // Rows that left the page
+                Object.keys(nodesByKey).forEach(function (key) {
+                    nodesByKey[key].forEach(function (node) { node.remove(); });
                 });
             }
 
-            if (this.highlight && this.highlight.enabled) {
-                this._applyHighlight();
-            }
+            this._updateFooterAggregates(rows);
+
+            // New cells are not highlighted yet
+            this._internals.lastHighlightQuery = null;
+            this._postBodyRender(rows);
+            renderedNodes.forEach(function (node) { self._initTooltipsInScope(node); });
         }
 
-        _getRowKey(row, rowIndex, fallbackPrefix) {
-            var prefix = fallbackPrefix || 'row';
-            if (typeof this.childRows.rowId === 'function') {
-                var k = this.childRows.rowId(row);
-                if (k != null) return String(k);
-            }
-            if (row && row.id != null) return String(row.id);
-            if (row && typeof row.__dt_index === 'number') return String(row.__dt_index);
-            return prefix + '-' + rowIndex;
+        /**
+         * Patch a rendered parent row with a fresh rendering: attributes are synced, only cells whose
+         * content differs are replaced (the <tr> itself stays, so do hover and focus on other cells).
+         * @returns {Array<HTMLTableCellElement>} the replaced cells
+         */
+        _patchRowCells(tr, row, index, rowKey, flash) {
+            var fresh = this._renderFlatParentRow(row, index, rowKey, false);
+
+            Array.prototype.slice.call(tr.attributes).forEach(function (attr) {
+                if (!fresh.hasAttribute(attr.name)) tr.removeAttribute(attr.name);
+            });
+            Array.prototype.forEach.call(fresh.attributes, function (attr) {
+                if (tr.getAttribute(attr.name) !== attr.value) tr.setAttribute(attr.name, attr.value);
+            });
+            tr._data = row;
+
+            var cells = Array.prototype.slice.call(fresh.cells);
+            var replaced = cells.filter(function (td, i) {
+                var old = tr.cells[i];
+                if (old && _dtCellSignature(old) === td.innerHTML) return false;
+                if (old) tr.replaceChild(td, old);
+                else tr.appendChild(td);
+                if (flash) this._flashLiveNode(td, TINY_TABLE_CLASSES.cellFlash);
+                return true;
+            }, this);
+            while (tr.cells.length > cells.length) tr.deleteCell(-1);
+            return replaced;
         }
 
-        _getChildrenForRow(row) {
-            if (!this.childRows.enabled) return null;
-            var key = this.childRows.dataKey;
-            var value = row && row[key];
-            if (!Array.isArray(value) || value.length === 0) return null;
-            return value;
+        _flashLiveNode(el, className) {
+            el.classList.add(className);
+            setTimeout(function () {
+                el.classList.remove(className);
+            }, this.live.flashDuration);
         }
 
-        _hasChildRows(row) {
-            var children = this._getChildrenForRow(row);
-            return !!(children && children.length);
+        /**
+         * Show a hidden column and rebuild header, footer and body.
+         * @param {string} key Column key
+         */
+        showColumn(key) {
+            return this._setColumnVisible(key, true);
         }
 
-        _getChildColumnsForParent(parentRow) {
-            var cfg = this.childRows || {};
-            var cols = null;
+        /**
+         * Hide a column and rebuild header, footer and body.
+         * @param {string} key Column key
+         */
+        hideColumn(key) {
+            return this._setColumnVisible(key, false);
+        }
 
-            if (typeof cfg.getColumns === 'function') {
-                cols = cfg.getColumns(parentRow);
-            } else if (Array.isArray(cfg.columns) && cfg.columns.length) {
-                cols = cfg.columns;
-            } else {
-                cols = this.columns;
-            }
+        /**
+         * Toggle the visibility of a column.
+         * @param {string} key Column key
+         */
+        toggleColumn(key) {
+            var col = this._getColumn(key);
+            if (!col) return;
+            return this._setColumnVisible(key, col.visible === false);
+        }
 
-            cols = Array.isArray(cols) ? cols : [];
+        /**
+         * Get the visibility of every column.
+         * @returns {Object<string, boolean>} { [columnKey]: visible }
+         */
+        getColumnVisibility() {
+            var result = {};
+            this._getDataColumns().forEach(function (col) {
+                result[col.key] = col.visible !== false;
+            });
+            return result;
+        }
 
-            // Ensure child columns are normalized and visibility rules are respected.
-            // (renderDataRow no longer checks col.visible === false for performance reasons)
-            this.normalizeColumn(cols, 'childcol');
-            return cols.filter(function (c) { return !(c && c.visible === false); });
+        /**
+         * Move a column to a new position and rebuild header, footer and body.
+         * @param {string} key Column key
+         * @param {number} toIndex Target index in the full column list (hidden columns included)
+         */
+        moveColumn(key, toIndex) {
+            var col = this._getColumn(key);
+            if (!col || this._isRowReorderColumn(col)) return;
+
+            var columns = this._getDataColumns();
+            var from = columns.indexOf(col);
+            var to = Math.max(0, Math.min(columns.length - 1, Math.floor(Number(toIndex) || 0)));
+            if (from === to) return;
+
+            var oldOrder = this.getColumnOrder();
+            columns.splice(from, 1);
+            columns.splice(to, 0, col);
+            this._setDataColumns(columns);
+
+            this._emit('columnReorder', {
+                key: key,
+                from: from,
+                to: to,
+                oldOrder: oldOrder,
+                newOrder: this.getColumnOrder()
+            });
+
+            return this._applyColumnLayout();
         }
 
+        /**
+         * Get the current column order.
+         * @returns {Array<string>} column keys (hidden columns included)
+         */
+        getColumnOrder() {
+            return this._getDataColumns().map(function (col) { return col.key; });
+        }
 
-        _insertChildRowsForParent(rowKey) {
-            if (!this.tbody || !rowKey) return;
+        /**
+         * Set the width of a column (clamped to its minWidth / maxWidth) without redrawing.
+         * @param {string} key Column key
+         * @param {number|string} width Width in pixels
+         */
+        setColumnWidth(key, width) {
+            var col = this._getColumn(key);
+            var px = _dtToPx(width);
+            if (!col || this._isRowReorderColumn(col) || px == null) return;
+
+            var oldWidth = _dtToPx(col.width);
+            px = this._clampColumnWidth(col, px);
+            if (px === oldWidth) return;
+
+            col.width = px + 'px';
+            this._renderColgroup();
+            this._applyFixedLayout();
+
+            this._emit('columnResize', {
+                key: key,
+                width: px,
+                oldWidth: oldWidth,
+                widths: this.getColumnWidths()
+            });
+            if (this.stateSave.enabled) this._saveState();
+        }
 
-            var parentTr = this.tbody.querySelector('tr[data-row-key="' + rowKey + '"]');
-            if (!parentTr) return;
+        /**
+         * Get the pixel width of every column.
+         * @returns {Object<string, number|null>} { [columnKey]: width } (null when not set in pixels)
+         */
+        getColumnWidths() {
+            var result = {};
+            this._getDataColumns().forEach(function (col) {
+                result[col.key] = _dtToPx(col.width);
+            });
+            return result;
+        }
 
-            var row = this._rowDataByKey[rowKey];
-            if (!row) return;
+        _getColumn(key) {
+            if (key == null) return null;
+            return this.columns.find(function (c) { return c.key === key; }) || null;
+        }
 
-            var children = this._getChildrenForRow(row);
-            if (!children || !children.length) return;
+        _isRowReorderColumn(col) {
+            return !!col && col.key === ROW_REORDER_COLUMN_KEY;
+        }
 
-            var childColumns = this._getChildColumnsForParent(row);
-            var groupKey = parentTr.dataset.groupKey || null;
+        /**
+         * Columns without the synthetic row drag handle column, which the public column APIs
+         * and the saved state never expose.
+         * @returns {Array<Object>} new array
+         */
+        _getDataColumns() {
             var self = this;
+            return this.columns.filter(function (col) { return !self._isRowReorderColumn(col); });
+        }
 
-            var frag = document.createDocumentFragment();
+        /**
+         * Replace the data columns, keeping the row drag handle column in front of them.
+         * @param {Array<Object>} columns
+         */
+        _setDataColumns(columns) {
+            var handleCol = this.columns.find(this._isRowReorderColumn);
+            this.columns = handleCol ? [handleCol].concat(columns) : columns;
+        }
 
-            children.forEach(function (childRow, childIndex) {
-                var childKey = self._getRowKey(
-                    childRow,
-                    childIndex,
-                    'child-of-' + rowKey
-                );
+        _setColumnVisible(key, visible) {
+            var col = this._getColumn(key);
+            if (!col || this._isRowReorderColumn(col)) return;
+            visible = !!visible;
+            if ((col.visible !== false) === visible) return;
 
-                var childTr = self._renderDataRow(
-                    childRow,
-                    childIndex,
-                    childKey,
-                    true,
-                    childColumns,
-                    {
-                        hasChildren: false,
-                        isExpanded: false,
-                        mergeColumnsSet: null,
-                        groupSize: 1,
-                        rowIndexInGroup: 0,
-                        groupKey: groupKey
-                    }
-                );
+            col.visible = visible;
 
-                childTr.classList.add(TINY_TABLE_CLASSES.childRow);
-                childTr.dataset.parentKey = rowKey;
-                frag.appendChild(childTr);
+            this._emit('columnVisibility', {
+                key: key,
+                visible: visible,
+                visibility: this.getColumnVisibility()
             });
 
-            parentTr.parentNode.insertBefore(frag, parentTr.nextSibling);
-
-            var icon = parentTr.querySelector('.' + TINY_TABLE_CLASSES.toggleIcon + '[data-tt-toggle="row"]');
-            if (icon) icon.classList.add('expanded');
+            return this._applyColumnLayout();
+        }
 
-            if (this.highlight && this.highlight.enabled) {
-                this._applyHighlight();
+        /**
+         * Get a serializable snapshot of the table state.
+         * @returns {{page:number, pageSize:number, searchText:string, sortOrders:Array, filters:Object, columnFilters:Object, grouping:Array<string>, columns:Array<{key:string, visible:boolean, width?:number}>}}
+         */
+        getState() {
+            return {
+                page: this.state.page,
+                pageSize: this.state.pageSize,
+                searchText: this.state.searchText || '',
+                sortOrders: (this.state.sortOrders || []).map(function (o) {
+                    return { key: o.key, dir: o.dir || o.direction || 'asc' };
+                }),
+                filters: Object.assign({}, this.state.filters || {}),
+                columnFilters: Object.assign({}, this.state.columnFilters || {}),
+                grouping: this.getGrouping(),
+                columns: this._getDataColumns().map(function (col) {
+                    var item = { key: col.key, visible: col.visible !== false };
+                    var width = _dtToPx(col.width);
+                    if (width != null) item.width = width;
+                    return item;
+                })
+            };
+        }
+
+        /**
+         * Apply a (partial) state snapshot as returned by getState() and re-draw.
+         * @param {Object} obj
+         */
+        setState(obj) {
+            if (!obj || typeof obj !== 'object') return;
+
+            this._applyStateValues(obj);
+            this._syncControlsFromState();
+
+            if (Array.isArray(obj.columns)) {
+                this._applyColumnsState(obj.columns, true);
+                return this._applyColumnLayout();
             }
+            return this.draw();
         }
 
-        _removeChildRowsForParent(rowKey) {
-            if (!this.tbody || !rowKey) return;
+        /**
+         * Remove the saved state from storage (the current table state is kept).
+         */
+        clearSavedState() {
+            var storage = this._getStateStorage();
+            if (!storage) return;
+            try { storage.removeItem(this.stateSave.key); } catch (e) { /* noop */ }
+        }
 
-            var selector = 'tr.' + TINY_TABLE_CLASSES.childRow +
-                '[data-parent-key="' + rowKey + '"]';
+        _getStateStorage() {
+            try {
+                if (typeof window === 'undefined') return null;
+                return this.stateSave.storage === 'session' ? window.sessionStorage : window.localStorage;
+            } catch (e) {
+                // Storage access can throw (privacy mode, sandboxed iframes)
+                return null;
+            }
+        }
 
-            this.tbody.querySelectorAll(selector).forEach(function (tr) {
-                tr.remove();
-            });
+        _readSavedState() {
+            var storage = this._getStateStorage();
+            if (!storage) return null;
 
-            var parentTr = this.tbody.querySelector('tr[data-row-key="' + rowKey + '"]');
-            if (parentTr) {
-                var icon = parentTr.querySelector('.' + TINY_TABLE_CLASSES.toggleIcon + '[data-tt-toggle="row"]');
-                if (icon) icon.classList.remove('expanded');
+            var data = null;
+            try {
+                data = JSON.parse(storage.getItem(this.stateSave.key) || 'null');
+            } catch (e) {
+                return null;
             }
+            if (!isPlainObject(data)) return null;
 
-            if (this.highlight && this.highlight.enabled) {
-                this._applyHighlight();
+            var duration = this.stateSave.duration;
+            if (duration > 0 && typeof data.time === 'number' && Date.now() - data.time > duration * 1000) {
+                return null;
             }
-        }
 
-        _hasGrouping() {
-            return !!(this.grouping &&
-                this.grouping.enabled &&
-                this.grouping.keys &&
-                this.grouping.keys.length);
+            return data;
         }
 
-        _buildGroups(rows) {
-            var grouping = this.grouping;
-            var groups = [];
-            var groupIndexByKey = Object.create(null);
+        _saveState() {
+            var storage = this._getStateStorage();
+            if (!storage) return;
 
-            rows.forEach(function (row) {
-                var keyParts = grouping.keys.map(function (k) {
-                    return row[k];
+            var state = this.getState();
+            try {
+                storage.setItem(this.stateSave.key, JSON.stringify(Object.assign({ time: Date.now() }, state)));
+            } catch (e) {
+                return; // quota exceeded / storage disabled
+            }
+
+            this._emit('stateSaved', { state: state });
+        }
+
+        /**
+         * Copy persisted values (page, pageSize, search, sort, filters, column filters) into this.state,
+         * and the grouping keys into this.grouping.
+         */
+        _applyStateValues(obj) {
+            if (typeof obj.page === 'number' && obj.page >= 1) this.state.page = Math.floor(obj.page);
+            if (typeof obj.pageSize === 'number' && obj.pageSize > 0) this.state.pageSize = obj.pageSize;
+            if (typeof obj.searchText === 'string') this.state.searchText = obj.searchText;
+            if (Array.isArray(obj.sortOrders)) {
+                this.state.sortOrders = obj.sortOrders.filter(function (o) { return o && o.key; }).map(function (o) {
+                    return { key: o.key, dir: String(o.dir || 'asc').toLowerCase() === 'desc' ? 'desc' : 'asc' };
                 });
-                var groupKey = JSON.stringify(keyParts);
+            }
+            if (isPlainObject(obj.filters)) this.state.filters = Object.assign({}, obj.filters);
+            if (isPlainObject(obj.columnFilters)) this.state.columnFilters = Object.assign({}, obj.columnFilters);
+            if (Array.isArray(obj.grouping)) this._applyGroupingKeys(obj.grouping);
+        }
 
-                var group;
-                if (Object.prototype.hasOwnProperty.call(groupIndexByKey, groupKey)) {
-                    group = groups[groupIndexByKey[groupKey]];
-                } else {
-                    group = {
-                        key: groupKey,
-                        values: {},
-                        rows: []
-                    };
-                    grouping.keys.forEach(function (k, idx) {
-                        group.values[k] = keyParts[idx];
-                    });
-                    groupIndexByKey[groupKey] = groups.length;
-                    groups.push(group);
-                }
-                group.rows.push(row);
+        /**
+         * Apply saved column visibility, widths and (optionally) order. Unknown keys are ignored,
+         * columns missing from the list keep their relative order after the listed ones.
+         * @param {Array<{key:string, visible:boolean, width?:number}>} list
+         * @param {boolean} reorder
+         */
+        _applyColumnsState(list, reorder) {
+            if (!Array.isArray(list)) return;
+            var self = this;
+            var byKey = Object.create(null);
+            var columns = this._getDataColumns();
+            columns.forEach(function (col) { if (col.key) byKey[col.key] = col; });
+
+            list.forEach(function (item) {
+                var col = item && byKey[item.key];
+                if (col && typeof item.visible === 'boolean') col.visible = item.visible;
+                if (col && typeof item.width === 'number' && item.width > 0) col.width = item.width + 'px';
             });
 
-            return groups;
-        }
+            if (!reorder) return;
 
+            var ordered = [];
+            list.forEach(function (item) {
+                var col = item && byKey[item.key];
+                if (col && ordered.indexOf(col) === -1) ordered.push(col);
+            });
+            columns.forEach(function (col) {
+                if (ordered.indexOf(col) === -1) ordered.push(col);
+            });
+            self._setDataColumns(ordered);
+        }
 
         /**
-         * Refresh per-draw column caches to avoid repeated work inside hot loops.
-         * Called once per draw (and whenever columns visibility/selection changes).
+         * Reflect this.state into the built-in controls (search input, filters, filter row, page length, grouping panel).
          */
-        _refreshColumnCaches() {
-            // Visible data columns (excluding select column)
-            this._internals.visibleColumns = this.columns.filter(c => c.visible !== false);
-            // Total visible grid columns, including select column (if enabled)
-            this._internals.visibleColumnCount = this._internals.visibleColumns.length + (this.select?.enabled ? 1 : 0);
-            // Render plan is used by HTML render mode (optional) and other optimizations
-            this._internals.renderPlan = this._buildRenderPlan();
+        _syncControlsFromState() {
+            var self = this;
+            if (this.searchInput) this.searchInput.value = this.state.searchText || '';
+
+            Object.keys(this._filterControls).forEach(function (key) {
+                var value = self.state.filters ? self.state.filters[key] : null;
+                self._filterControls[key](value);
+            });
+
+            Object.keys(this._columnFilterControls).forEach(function (key) {
+                var value = self.state.columnFilters ? self.state.columnFilters[key] : null;
+                self._columnFilterControls[key](value);
+            });
+
+            if (this.pager && this.pager.pageLengthSelect) {
+                this.pager.pageLengthSelect.value = String(this.state.pageSize);
+            }
+
+            this._renderGroupingPanel();
         }
 
         /**
-         * Build a lightweight plan for rendering visible columns.
-         * @param {Array<Object>} visibleColumns
+         * Open the inline editor of a cell (column must be `editable`, row on the current page).
+         * @param {string} rowKey
+         * @param {string} key Column key
          */
-        _buildRenderPlan(visibleColumns) {
-            return this._internals.visibleColumns.map(function (col) {
-                return {
-                    col: col,
-                    className: col?.className,
-                    hasTooltip: !!col?.tooltip,
-                    hasRender: typeof col?.render === 'function'
-                };
-            });
+        editCell(rowKey, key) {
+            var td = this._findCell(rowKey, key);
+            if (td) this._startCellEdit(td);
         }
 
-        _applyGroupRowCustomClass(tr, group, meta) {
-            if (!this.customClass || !this.customClass.groupRow) return;
+        _findCell(rowKey, key) {
+            if (!this.tbody || rowKey == null || !key) return null;
+            var tr = this.tbody.querySelector('tr[data-row-key="' + rowKey + '"]:not(.' + TINY_TABLE_CLASSES.childRow + ')');
+            return tr ? tr.querySelector('td[data-key="' + key + '"]') : null;
+        }
 
-            var cfg = this.customClass.groupRow;
-            var classes = (typeof cfg === 'function')
-                ? cfg(group, meta || {})
-                : cfg;
+        /**
+         * Normalize `col.editable` (true or { type, options, validate }) into an editor config.
+         */
+        _getEditorConfig(col) {
+            if (!col || !col.editable || this.pivot.enabled) return null;
+            var cfg = isPlainObject(col.editable) ? col.editable : {};
+            var type = String(cfg.type || 'text').toLowerCase();
+            return {
+                type: ['text', 'number', 'select', 'date', 'bool'].indexOf(type) !== -1 ? type : 'text',
+                options: cfg.options || [],
+                validate: typeof cfg.validate === 'function' ? cfg.validate : null
+            };
+        }
 
-            if (classes && typeof classes === 'string') {
-                classes = classes.trim().split(/\s+/);
+        _createCellEditor(editor, value) {
+            switch (editor.type) {
+                case 'select':
+                    return TinyDataTable.buildSelect(editor.options, value == null ? '' : value);
+                case 'bool':
+                    return _dtCreateElement('input', { type: 'checkbox', checked: !!value });
+                case 'number':
+                    return _dtCreateElement('input', 'tt-input', { type: 'number', value: value == null ? '' : String(value) });
+                case 'date':
+                    // <input type="date"> only accepts YYYY-MM-DD
+                    return _dtCreateElement('input', 'tt-input', { type: 'date', value: value == null ? '' : String(value).slice(0, 10) });
+                default:
+                    return _dtCreateElement('input', 'tt-input', { type: 'text', value: value == null ? '' : String(value) });
+            }
+        }
 
-                if (Array.isArray(classes)) {
-                    classes.forEach(function (c) {
-                        if (c && typeof c === 'string') {
-                            tr.classList.add(c);
-                        }
-                    });
-                }
+        _readCellEditor(editor, input, oldValue) {
+            var v = input.value;
+            switch (editor.type) {
+                case 'bool':
+                    return !!input.checked;
+                case 'number':
+                    return v === '' ? null : Number(v);
+                case 'date':
+                    return v === '' ? null : v;
+                case 'select':
+                    // Keep numeric values numeric when the original value was a number
+                    return (typeof oldValue === 'number' && v !== '' && !isNaN(Number(v))) ? Number(v) : v;
+                default:
+                    return v;
             }
         }
 
-        _renderGroupHeaderRow(group, groupIndex, visibleColCount) {
-            var tr = _dtCreateElement('tr', TINY_TABLE_CLASSES.groupHeaderRow);
+        _startCellEdit(td) {
+            if (!td || td._dtEditing) return;
+            var tr = td.closest('tr');
+            var col = this._getColumn(td.dataset.key);
+            var editor = this._getEditorConfig(col);
+            if (!tr || !tr._data || !editor || tr.classList.contains(TINY_TABLE_CLASSES.childRow)) return;
 
-            var td = _dtCreateElement('td', TINY_TABLE_CLASSES.groupHeaderCell, { colSpan : visibleColCount});
+            var self = this;
+            var row = tr._data;
+            var rowKey = tr.dataset.rowKey;
+            var oldValue = row[col.key];
+            var originalContent = Array.from(td.childNodes);
+            var input = this._createCellEditor(editor, oldValue);
+            var done = false;
+
+            function close() {
+                done = true;
+                td._dtEditing = false;
+                td.classList.remove(TINY_TABLE_CLASSES.editingCell);
+            }
 
-            var label;
-            if (this.grouping.header && typeof this.grouping.header.render === 'function') {
-                label = this.grouping.header.render({
-                    keys: this.grouping.keys,
-                    values: group.values,
-                    rows: group.rows,
-                    groupIndex: groupIndex
-                });
-            } else {
-                label = this.grouping.keys.map(function (k) {
-                    return group.values[k];
-                }).join(' - ');
+            function cancel() {
+                close();
+                td.replaceChildren(...originalContent);
+                td.focus();
             }
 
-            if (label instanceof Node) {
-                td.appendChild(label);
-            } else {
-                td.appendChild(document.createTextNode(label != null ? String(label) : ''));
+            function commit(fromBlur) {
+                if (done) return;
+                var newValue = self._readCellEditor(editor, input, oldValue);
+
+                var valid = !(editor.type === 'number' && newValue !== null && isNaN(newValue));
+                var message = '';
+                if (valid && editor.validate) {
+                    var res = editor.validate(newValue, row);
+                    if (res === false || typeof res === 'string') {
+                        valid = false;
+                        message = typeof res === 'string' ? res : '';
+                    }
+                }
+
+                if (!valid) {
+                    // Leaving the cell with an invalid value drops the edit
+                    if (fromBlur) return cancel();
+                    input.classList.add(TINY_TABLE_CLASSES.editorInvalid);
+                    input.title = message;
+                    return;
+                }
+
+                close();
+                if (newValue === oldValue) {
+                    td.replaceChildren(...originalContent);
+                    return;
+                }
+                self._commitCellEdit(row, rowKey, col, oldValue, newValue);
             }
 
-            tr.appendChild(td);
+            td._dtEditing = true;
+            td.classList.add(TINY_TABLE_CLASSES.editingCell);
+            td.replaceChildren(input);
 
-            this._applyCustomClass(tr, 'groupRow', group, {
-                isGroupHeader: true,
-                groupIndex: groupIndex,
-                groupKey: group.key
+            input.addEventListener('keydown', function (e) {
+                e.stopPropagation();
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    commit(false);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    cancel();
+                }
             });
+            input.addEventListener('blur', function () { commit(true); });
+            // Clicks in the editor must not toggle child rows / selection
+            input.addEventListener('click', function (e) { e.stopPropagation(); });
+            input.addEventListener('dblclick', function (e) { e.stopPropagation(); });
+            if (editor.type === 'select' || editor.type === 'bool') {
+                input.addEventListener('change', function () { commit(false); });
+            }
 
-            return tr;
+            input.focus();
+            if (typeof input.select === 'function' && input.type !== 'checkbox') input.select();
         }
 
         /**
-         * Ensure that a high-level container exists when any outer UI
-         * (pager, search box, filters bar) is enabled. The container wraps
-         * the table or its scroll wrapper together with the pager.
+         * Write an edited value back to the row, re-render the cell and emit `cellEdit`.
+         * With `ajax.save`, the change is pushed to the server and rolled back on rejection.
          */
-        _ensureContainer() {
-            var needContainer =
-                this.paging?.enabled ||
-                this.searchConfig?.enabled ||
-                (this.filters && this.filters.enabled &&
-                    Array.isArray(this.filters.items) &&
-                    this.filters.items.length > 0);
+        _commitCellEdit(row, rowKey, col, oldValue, newValue) {
+            var self = this;
+            var payload = { rowKey: rowKey, key: col.key, oldValue: oldValue, newValue: newValue, row: row };
 
-            if (!needContainer) return;
+            row[col.key] = newValue;
+            this._refreshCell(rowKey, col.key);
 
-            // If a container already exists and is still in the DOM, reuse it.
-            if (this.container && this.container.parentNode) {
-                return;
+            var save = (this.options.ajax && typeof this.options.ajax.save === 'function') ? this.options.ajax.save : null;
+            if (!save) {
+                // Cached Ajax responses hold the row objects: drop them with the change
+                this.invalidateCache();
+                this._emit('cellEdit', payload);
+                return Promise.resolve(payload);
             }
 
-            var table = this.table;
-            var parent = table.parentNode;
-            if (!parent) return;
+            return Promise.resolve()
+                .then(function () { return save.call(self.api(), payload); })
+                .then(function () {
+                    self.invalidateCache();
+                    self._emit('cellEdit', payload);
+                    return payload;
+                }, function (err) {
+                    // Rollback (unless the value was changed again meanwhile)
+                    if (row[col.key] === newValue) {
+                        row[col.key] = oldValue;
+                        self._refreshCell(rowKey, col.key);
+                    }
+                    self._emit('cellEditError', Object.assign({ error: err }, payload));
+                });
+        }
 
-            // Create container and move the table into it.
-            var container = _dtCreateElement('div', TINY_TABLE_CLASSES.container);
-            parent.insertBefore(container, table);
-            container.appendChild(table);
+        /**
+         * Re-render a single (editable) cell from its row data, then refresh footer aggregates.
+         */
+        _refreshCell(rowKey, key) {
+            var td = this._findCell(rowKey, key);
+            var col = this._getColumn(key);
+            if (!td || !col) return;
+
+            var tr = td.closest('tr');
+            var row = tr._data;
+            var visibleColumns = this._internals.visibleColumns || [];
+            var index = Array.isArray(this._lastPageRows) ? this._lastPageRows.indexOf(row) : -1;
+
+            var newTd = this._renderCell(row, col, index, false, rowKey, {
+                isFirstVisible: visibleColumns[0] === col,
+                hasChildren: tr.classList.contains(TINY_TABLE_CLASSES.rowHasChildren),
+                isExpanded: this._expandedRowKeys.has(rowKey)
+            });
+            if (td.rowSpan > 1) newTd.rowSpan = td.rowSpan;
+            td.replaceWith(newTd);
 
-            this.container = container;
+            // Row values changed: aggregate row caches are recomputed
+            this._internals.aggregateRows = null;
+            this._updateFooterAggregates(this._lastPageRows);
         }
 
-        _initWrapper() {
-            var needWrapper = this.scrollX !== false || this.scrollY !== false;
-            if (!needWrapper) return;
+        /**
+         * Get the currently selected row keys.
+         * The key is determined by `columns[].key` + internal row-key rules (see README).
+         * @returns {Array<string>}
+         */
 
-            var table = this.table;
-            var parent = table.parentNode;
+        getSelectedRowKeys() {
+            return Array.from(this._selectedRowKeys);
+        }
 
-            // Avoid double-wrapping
-            if (!parent || (this.wrapper && this.wrapper.parentNode === parent)) return;
+        /**
+         * Get the data objects of the currently selected rows.
+         * @returns {Array<Object>}
+         */
 
-            var wrapper = _dtCreateElement('div', TINY_TABLE_CLASSES.wrapper);
+        getSelectedRows() {
+            var result = [];
+            var keys = this.getSelectedRowKeys();
+            var dataMap = this._rowDataByKey || {};
+            for (var i = 0; i < keys.length; i++) {
+                var k = keys[i];
+                if (Object.prototype.hasOwnProperty.call(dataMap, k)) {
+                    result.push(dataMap[k]);
+                }
+            }
+            return result;
+        }
 
-            const _resolveOverflow = v => v === 'auto' ? 'auto' : (v ? 'scroll' : 'visible');
+        /**
+         * Clear current selection and re-draw selection UI.
+         */
 
-            wrapper.style.overflowX = _resolveOverflow(this.scrollX); // Horizontal scroll
-            wrapper.style.overflowY = _resolveOverflow(this.scrollY); // Vertical scroll
+        clearSelection() {
+            this._selectedRowKeys.clear();
+            this._syncSelectionDomAndHeader();
+            this._emit('select', {
+                mode: 'clear',
+                rowKey: null,
+                checked: false,
+                affectedRowKeys: [],
+                selectedRowKeys: this.getSelectedRowKeys()
+            });
+        }
 
-            parent.insertBefore(wrapper, table);
+        /**
+         * Select a row by its rowKey.
+         * @param {string} rowKey
+         */
+
+        selectRow(rowKey) {
+            if (!rowKey) return;
+            this._selectedRowKeys.add(String(rowKey));
+            this._syncSelectionDomAndHeader();
+        }
+
+        /**
+         * Unselect a row by its rowKey.
+         * @param {string} rowKey
+         */
+
+        unselectRow(rowKey) {
+            if (!rowKey) return;
+            this._selectedRowKeys.delete(String(rowKey));
+            this._syncSelectionDomAndHeader();
+        }
+
+        /**
+         * Select all selectable rows on the current page.
+         */
+
+        selectAllOnPage() {
+            var self = this;
+            if (!this._pageParentRowKeys) return;
+            this._pageParentRowKeys.forEach(function (k) {
+                self._selectedRowKeys.add(k);
+            });
+            this._syncSelectionDomAndHeader();
+        }
+
+        /**
+         * Unselect all rows on the current page.
+         */
+
+        unselectAllOnPage() {
+            var self = this;
+            if (!this._pageParentRowKeys) return;
+            this._pageParentRowKeys.forEach(function (k) {
+                self._selectedRowKeys.delete(k);
+            });
+            this._syncSelectionDomAndHeader();
+        }
+
+
+        _loadLazyChildren(rowKey) {
+            const cfg = this.childRows;
+            if (!cfg.lazyLoad) return Promise.resolve([]);
+            const parent = this._rowDataByKey[rowKey];
+            if (!parent) return Promise.resolve([]);
+            const parentId = cfg.rowId ? cfg.rowId(parent) : parent.id;
+            if (!parentId) return Promise.resolve([]);
+            if (!this._isAjax || !this.options.ajax?.url) return Promise.resolve([]);
+            return _dtAjaxRequest(this.options.ajax.url, {
+                params: {child: true, rowId: parentId}
+            }).then(json => Array.isArray(json) ? json : []);
+        }
+
+        /**
+         * Expand child rows for the given parent rowKey.
+         * If `childRows.lazyLoad` is enabled, this may trigger a children Ajax request.
+         * @param {string} rowKey
+         */
+
+        expandChildRows(rowKey) {
+            if (!this.childRows.enabled || !rowKey) return;
+            const afterInsertChildRows = (rowKey) => {
+                this._insertChildRowsForParent(rowKey);
+                this._emit("childShown", {rowKey});
+            }
+            const dataKey = this.childRows.dataKey || "children";
+            const row = this._rowDataByKey[rowKey];
+            if (this.childRows.lazyLoad && (!row[dataKey] || row[dataKey].length === 0)) {
+                this._expandedRowKeys.add(rowKey);
+                return this._loadLazyChildren(rowKey).then(children => {
+                    row[dataKey] = children || [];
+                    afterInsertChildRows(rowKey);
+                });
+            } else {
+                this._expandedRowKeys.add(rowKey);
+                afterInsertChildRows(rowKey);
+            }
+        }
+
+        /**
+         * Collapse child rows for the given parent rowKey.
+         * @param {string} rowKey
+         */
+
+        collapseChildRows(rowKey) {
+            if (!this.childRows.enabled || !rowKey) return;
+            if (!this._expandedRowKeys.has(rowKey)) return;
+
+            this._expandedRowKeys.delete(rowKey);
+            this._emit('childHidden', {rowKey: rowKey});
+
+            // Only remove the child rows for this parent
+            this._removeChildRowsForParent(rowKey);
+        }
+
+        /**
+         * Toggle child rows for the given parent rowKey.
+         * @param {string} rowKey
+         */
+
+        toggleChildRows(rowKey) {
+            if (!this.childRows.enabled || !rowKey) return;
+            if (this._expandedRowKeys.has(rowKey)) {
+                this.collapseChildRows(rowKey);
+            } else {
+                this.expandChildRows(rowKey);
+            }
+        }
+
+        /**
+         * Collapse all currently expanded child rows.
+         */
+
+        collapseAllChildRows() {
+            if (!this.childRows.enabled) return;
+            if (this._expandedRowKeys.size === 0) return;
+
+            this._expandedRowKeys.clear();
+            this._emit('childHidden', {rowKey: null, all: true});
+
+            // Remove all child rows in one shot
+            if (this.tbody) {
+                var childSelector = 'tr.' + TINY_TABLE_CLASSES.childRow;
+                this.tbody.querySelectorAll(childSelector).forEach(function (tr) {
+                    tr.remove();
+                });
+
+                // Reset all toggle icons
+                var iconSelector = '.' + TINY_TABLE_CLASSES.toggleIcon + '[data-tt-toggle="row"].expanded';
+                this.tbody.querySelectorAll(iconSelector).forEach(function (icon) {
+                    icon.classList.remove('expanded');
+                });
+            }
+
+            if (this.highlight && this.highlight.enabled) {
+                this._applyHighlight();
+            }
+        }
+
+        _getRowKey(row, rowIndex, fallbackPrefix) {
+            var prefix = fallbackPrefix || 'row';
+            if (typeof this.childRows.rowId === 'function') {
+                var k = this.childRows.rowId(row);
+                if (k != null) return String(k);
+            }
+            if (row && row.id != null) return String(row.id);
+            if (row && typeof row.__dt_index === 'number') return String(row.__dt_index);
+            return prefix + '-' + rowIndex;
+        }
+
+        _getChildrenForRow(row) {
+            if (!this.childRows.enabled) return null;
+            var key = this.childRows.dataKey;
+            var value = row && row[key];
+            if (!Array.isArray(value) || value.length === 0) return null;
+            return value;
+        }
+
+        _hasChildRows(row) {
+            var children = this._getChildrenForRow(row);
+            return !!(children && children.length);
+        }
+
+        _getChildColumnsForParent(parentRow) {
+            var cfg = this.childRows || {};
+            var cols = null;
+
+            if (typeof cfg.getColumns === 'function') {
+                cols = cfg.getColumns(parentRow);
+            } else if (Array.isArray(cfg.columns) && cfg.columns.length) {
+                cols = cfg.columns;
+            } else {
+                cols = this.columns;
+            }
+
+            cols = Array.isArray(cols) ? cols : [];
+
+            // Ensure child columns are normalized and visibility rules are respected.
+            // (renderDataRow no longer checks col.visible === false for performance reasons)
+            this.normalizeColumn(cols, 'childcol');
+            return cols.filter(function (c) { return !(c && c.visible === false); });
+        }
+
+
+        _insertChildRowsForParent(rowKey) {
+            if (!this.tbody || !rowKey) return;
+
+            var parentTr = this.tbody.querySelector('tr[data-row-key="' + rowKey + '"]');
+            if (!parentTr) return;
+
+            var row = this._rowDataByKey[rowKey];
+            if (!row) return;
+
+            var children = this._getChildrenForRow(row);
+            if (!children || !children.length) return;
+
+            var childColumns = this._getChildColumnsForParent(row);
+            var groupKey = parentTr.dataset.groupKey || null;
+            var self = this;
+
+            var frag = document.createDocumentFragment();
+
+            children.forEach(function (childRow, childIndex) {
+                var childKey = self._getRowKey(
+                    childRow,
+                    childIndex,
+                    'child-of-' + rowKey
+                );
+
+                var childTr = self._renderDataRow(
+                    childRow,
+                    childIndex,
+                    childKey,
+                    true,
+                    childColumns,
+                    {
+                        hasChildren: false,
+                        isExpanded: false,
+                        mergeColumnsSet: null,
+                        groupSize: 1,
+                        rowIndexInGroup: 0,
+                        groupKey: groupKey
+                    }
+                );
+
+                childTr.classList.add(TINY_TABLE_CLASSES.childRow);
+                childTr.dataset.parentKey = rowKey;
+                frag.appendChild(childTr);
+            });
+
+            parentTr.parentNode.insertBefore(frag, parentTr.nextSibling);
+
+            var icon = parentTr.querySelector('.' + TINY_TABLE_CLASSES.toggleIcon + '[data-tt-toggle="row"]');
+            if (icon) icon.classList.add('expanded');
+            parentTr.setAttribute('aria-expanded', 'true');
+
+            if (this.highlight && this.highlight.enabled) {
+                this._applyHighlight();
+            }
+        }
+
+        _removeChildRowsForParent(rowKey) {
+            if (!this.tbody || !rowKey) return;
+
+            var selector = 'tr.' + TINY_TABLE_CLASSES.childRow +
+                '[data-parent-key="' + rowKey + '"]';
+
+            this.tbody.querySelectorAll(selector).forEach(function (tr) {
+                tr.remove();
+            });
+
+            var parentTr = this.tbody.querySelector('tr[data-row-key="' + rowKey + '"]');
+            if (parentTr) {
+                var icon = parentTr.querySelector('.' + TINY_TABLE_CLASSES.toggleIcon + '[data-tt-toggle="row"]');
+                if (icon) icon.classList.remove('expanded');
+                parentTr.setAttribute('aria-expanded', 'false');
+            }
+
+            if (this.highlight && this.highlight.enabled) {
+                this._applyHighlight();
+            }
+        }
+
+        _hasGrouping() {
+            return !!(this.grouping &&
+                this.grouping.enabled &&
+                this.grouping.keys &&
+                this.grouping.keys.length);
+        }
+
+        _buildGroups(rows) {
+            var grouping = this.grouping;
+            var groups = [];
+            var groupIndexByKey = Object.create(null);
+
+            rows.forEach(function (row) {
+                var keyParts = grouping.keys.map(function (k) {
+                    return row[k];
+                });
+                var groupKey = JSON.stringify(keyParts);
+
+                var group;
+                if (Object.prototype.hasOwnProperty.call(groupIndexByKey, groupKey)) {
+                    group = groups[groupIndexByKey[groupKey]];
+                } else {
+                    group = {
+                        key: groupKey,
+                        values: {},
+                        rows: [],
+                        level: 0,
+                        keyCount: grouping.keys.length,
+                        children: null
+                    };
+                    grouping.keys.forEach(function (k, idx) {
+                        group.values[k] = keyParts[idx];
+                    });
+                    groupIndexByKey[groupKey] = groups.length;
+                    groups.push(group);
+                }
+                group.rows.push(row);
+            });
+
+            groups.forEach(this._attachServerGroupSummary, this);
+
+            return groups;
+        }
+
+        /**
+         * Nested grouping: build the group tree of the page rows. Each node has the grouping values of
+         * its level and the levels above (`values`), its `level`, all `rows` below it and its
+         * `children` (null at the deepest level, whose nodes are the groups of `_buildGroups`).
+         * @returns {Array<Object>} top-level groups
+         */
+        _buildGroupTree(rows) {
+            var keys = this.grouping.keys;
+            var roots = [];
+            var nodes = Object.create(null);
+            var self = this;
+
+            this._buildGroups(rows).forEach(function (leaf) {
+                var siblings = roots;
+                var parts = [];
+                for (var level = 0; level < keys.length - 1; level++) {
+                    parts.push(leaf.values[keys[level]]);
+                    var key = JSON.stringify(parts);
+                    var node = nodes[key];
+                    if (!node) {
+                        node = nodes[key] = { key: key, values: {}, rows: [], level: level, keyCount: level + 1, children: [] };
+                        keys.slice(0, level + 1).forEach(function (k) { node.values[k] = leaf.values[k]; });
+                        self._attachServerGroupSummary(node);
+                        siblings.push(node);
+                    }
+                    Array.prototype.push.apply(node.rows, leaf.rows);
+                    siblings = node.children;
+                }
+                leaf.level = keys.length - 1;
+                siblings.push(leaf);
+            });
+
+            return roots;
+        }
+
+        /**
+         * Ajax: whole-group row count and aggregates from the server (the page may hold part of a group).
+         */
+        _attachServerGroupSummary(group) {
+            var serverGroups = this._internals.serverGroups;
+            if (!serverGroups) return;
+            var summary = serverGroups[_dtGroupLookupKey(this.grouping.keys.slice(0, group.keyCount).map(function (k) { return group.values[k]; }))];
+            if (!summary) return;
+            group.count = summary.count;
+            group.aggregates = summary.aggregates;
+        }
+
+        /**
+         * Resolved settings of a grouping level: header visibility / renderer and aggregates.
+         * Without `levels` there is a single (composite) level using the grouping-wide settings.
+         * @param {number} level
+         * @returns {{showHeader:boolean, render:Function|null, aggregates:Object|null}}
+         */
+        _getGroupLevelConfig(level) {
+            var grouping = this.grouping;
+            var def = grouping.levels ? grouping.levels[level] : null;
+            var aggregates = def && def.aggregates !== null ? (def.aggregates || null) : grouping.aggregates;
+            var showHeader = def ? def.header.show : !!(grouping.header && grouping.header.show);
+
+            return {
+                showHeader: showHeader || (!!aggregates && grouping.aggregatesPosition === 'header'),
+                render: (def && def.header.render) || (grouping.header && grouping.header.render) || null,
+                aggregates: aggregates
+            };
+        }
+
+        /**
+         * Index the `groups` of an Ajax response by group key. Each entry is
+         * `{ key, count, aggregates }` where `key` is an object of grouping values
+         * (`{ paymentType: 'Card' }`), an array in `grouping.keys` order, or a single value.
+         * With nested grouping, a key holding the first n values designates a level-n group.
+         * @returns {Object<string, {count:number|undefined, aggregates:Object|null}>|null}
+         */
+        _indexServerGroups(groups) {
+            if (!Array.isArray(groups) || !this._hasGrouping()) return null;
+            var keys = this.grouping.keys;
+            var index = Object.create(null);
+
+            groups.forEach(function (g) {
+                if (!g || g.key === undefined) return;
+                var parts;
+                if (Array.isArray(g.key)) parts = g.key;
+                else if (isPlainObject(g.key)) parts = keys.slice(0, _dtCountPresentKeys(keys, g.key)).map(function (k) { return g.key[k]; });
+                else parts = [g.key];
+
+                index[_dtGroupLookupKey(parts)] = {
+                    count: typeof g.count === 'number' ? g.count : undefined,
+                    aggregates: isPlainObject(g.aggregates) ? g.aggregates : null
+                };
+            });
+
+            return index;
+        }
+
+        /**
+         * Footer aggregates of a scope requested from the server: aggregator names only
+         * (function aggregators cannot be serialized and stay client-side). A column with
+         * several aggregators in the scope gets an array of names.
+         * @param {string} scope 'filtered' | 'all'
+         * @returns {Object<string, string|Array<string>>}
+         */
+        _serializeAggregates(scope) {
+            var out = {};
+            if (!this.footer?.enabled) return out;
+            this.footer.rows.forEach(function (def) {
+                Object.keys(def.items).forEach(function (k) {
+                    var item = def.items[k];
+                    if (item.scope !== scope || typeof item.aggregator !== 'string') return;
+                    if (out[k] === undefined) out[k] = item.aggregator;
+                    else if (Array.isArray(out[k])) { if (out[k].indexOf(item.aggregator) === -1) out[k].push(item.aggregator); }
+                    else if (out[k] !== item.aggregator) out[k] = [out[k], item.aggregator];
+                });
+            });
+            return out;
+        }
+
+
+        /**
+         * Refresh per-draw column caches to avoid repeated work inside hot loops.
+         * Called once per draw (and whenever columns visibility/selection changes).
+         */
+        _refreshColumnCaches() {
+            // Visible data columns (excluding select column)
+            this._internals.visibleColumns = this.columns.filter(c => c.visible !== false);
+            // Total visible grid columns, including select column (if enabled)
+            this._internals.visibleColumnCount = this._internals.visibleColumns.length + (this.select?.enabled ? 1 : 0);
+            // Render plan is used by HTML render mode (optional) and other optimizations
+            this._internals.renderPlan = this._buildRenderPlan();
+        }
+
+        /**
+         * Build a lightweight plan for rendering visible columns.
+         * @param {Array<Object>} visibleColumns
+         */
+        _buildRenderPlan(visibleColumns) {
+            return this._internals.visibleColumns.map(function (col) {
+                return {
+                    col: col,
+                    className: col?.className,
+                    hasTooltip: !!col?.tooltip,
+                    hasRender: typeof col?.render === 'function'
+                };
+            });
+        }
+
+        _applyGroupRowCustomClass(tr, group, meta) {
+            if (!this.customClass || !this.customClass.groupRow) return;
+
+            var cfg = this.customClass.groupRow;
+            var classes = (typeof cfg === 'function')
+                ? cfg(group, meta || {})
+                : cfg;
+
+            if (classes && typeof classes === 'string') {
+                classes = classes.trim().split(/\s+/);
+
+                if (Array.isArray(classes)) {
+                    classes.forEach(function (c) {
+                        if (c && typeof c === 'string') {
+                            tr.classList.add(c);
+                        }
+                    });
+                }
+            }
+        }
+
+        _renderGroupHeaderRow(group, groupIndex, visibleColCount) {
+            var tr = _dtCreateElement('tr', TINY_TABLE_CLASSES.groupHeaderRow, { 'data-group-key': group.key });
+            var collapsed = this._isGroupCollapsed(group.key);
+            var levelConfig = this._getGroupLevelConfig(group.level || 0);
+            var nested = !!this.grouping.levels;
+
+            if (nested) {
+                tr.dataset.groupLevel = String(group.level);
+                tr.classList.add(`${TINY_TABLE_CLASSES.groupHeaderRow}-level-${group.level}`);
+            }
+
+            // Aggregates in the header: the label spans the columns before the first aggregated one
+            var aggCells = null;
+            var labelSpan = visibleColCount;
+            if (group.aggregateValues && this.grouping.aggregatesPosition === 'header') {
+                aggCells = this._renderGroupAggregateCells(group);
+                var firstAgg = aggCells.findIndex(function (cell) { return cell.classList.contains(TINY_TABLE_CLASSES.groupAggregate); });
+                labelSpan = Math.max(1, firstAgg === -1 ? visibleColCount : firstAgg);
+            }
+
+            var td = _dtCreateElement('td', TINY_TABLE_CLASSES.groupHeaderCell, { colSpan : labelSpan});
+            // Indentation of nested levels (see the SCSS)
+            if (nested) td.style.setProperty('--tt-group-depth', String(group.level));
+
+            if (this.grouping.collapsible) {
+                tr.setAttribute('aria-expanded', String(!collapsed));
+                if (collapsed) tr.classList.add(TINY_TABLE_CLASSES.groupCollapsed);
+                var icon = _dtCreateElement('span', TINY_TABLE_CLASSES.toggleIcon, { 'data-tt-toggle': 'group' });
+                if (!collapsed) icon.classList.add('expanded');
+                td.appendChild(icon);
+                td.appendChild(document.createTextNode(' '));
+            }
+
+            var label;
+            if (typeof levelConfig.render === 'function') {
+                label = levelConfig.render({
+                    keys: this.grouping.keys,
+                    values: group.values,
+                    level: group.level || 0,
+                    key: nested ? this.grouping.keys[group.level] : undefined,
+                    rows: group.rows,
+                    groupIndex: groupIndex,
+                    // Whole group (server-side grouping), else the rows on this page
+                    count: typeof group.count === 'number' ? group.count : group.rows.length,
+                    aggregates: group.aggregateValues || group.aggregates || null,
+                    collapsed: collapsed
+                });
+            } else {
+                label = (nested ? [this.grouping.keys[group.level]] : this.grouping.keys).map(function (k) {
+                    return group.values[k];
+                }).join(' - ');
+                if (typeof group.count === 'number') {
+                    label += ' (' + formatText(this.texts.groupRowCount || '{count} rows', { count: group.count }) + ')';
+                }
+            }
+
+            if (label instanceof Node) {
+                td.appendChild(label);
+            } else {
+                td.appendChild(document.createTextNode(label != null ? String(label) : ''));
+            }
+
+            tr.appendChild(td);
+
+            if (aggCells) {
+                // A first-column aggregate shares the label cell
+                if (labelSpan === 1 && aggCells[0].classList.contains(TINY_TABLE_CLASSES.groupAggregate)) {
+                    var inline = _dtCreateElement('span', TINY_TABLE_CLASSES.groupAggregate, { text: aggCells[0].textContent });
+                    td.appendChild(document.createTextNode(' '));
+                    td.appendChild(inline);
+                }
+                aggCells.slice(labelSpan).forEach(function (cell) { tr.appendChild(cell); });
+            }
+
+            this._applyCustomClass(tr, 'groupRow', group, {
+                isGroupHeader: true,
+                groupIndex: groupIndex,
+                groupKey: group.key
+            });
+
+            return tr;
+        }
+
+        /**
+         * Group footer row: one cell per grid column, aggregates in their column.
+         */
+        _renderGroupFooterRow(group, groupIndex) {
+            var tr = _dtCreateElement('tr', TINY_TABLE_CLASSES.groupFooterRow, { 'data-group-key': group.key });
+            if (this.grouping.levels) tr.dataset.groupLevel = String(group.level);
+            this._renderGroupAggregateCells(group).forEach(function (cell) { tr.appendChild(cell); });
+
+            this._applyCustomClass(tr, 'groupRow', group, {
+                isGroupFooter: true,
+                groupIndex: groupIndex,
+                groupKey: group.key
+            });
+            return tr;
+        }
+
+        /**
+         * One <td> per grid column (selection column first); aggregated columns get the
+         * `.tiny-table-group-aggregate` class and their value rendered through the column renderer.
+         * @returns {Array<HTMLTableCellElement>}
+         */
+        _renderGroupAggregateCells(group) {
+            var self = this;
+            var values = group.aggregateValues || {};
+            var cells = [];
+
+            if (this.select.enabled) cells.push(_dtCreateElement('td'));
+
+            (this._internals.visibleColumns || []).forEach(function (col) {
+                var td = _dtCreateElement('td');
+                if (Object.prototype.hasOwnProperty.call(values, col.key)) {
+                    td.classList.add(TINY_TABLE_CLASSES.groupAggregate);
+                    var v = values[col.key];
+                    if (typeof col.render === 'function') {
+                        try {
+                            v = self._renderValue(col, v, null, -1, 'footer', { td: td, rowKey: col.key, isChild: false });
+                        } catch (e) { /* keep the raw value */ }
+                    }
+                    td.textContent = v == null ? '' : String(v);
+                }
+                cells.push(td);
+            });
+
+            return cells;
+        }
+
+        /**
+         * Aggregates of a group over all its rows: server values (Ajax `groups[].aggregates`) first,
+         * then the group rows of the filtered dataset (local), else the group rows on this page.
+         * @param {Object} group
+         * @param {Object} [aggs] aggregate definitions (defaults to `grouping.aggregates`)
+         * @returns {Object<string, *>}
+         */
+        _getGroupAggregateValues(group, aggs) {
+            aggs = aggs || this.grouping.aggregates;
+            var result = {};
+            if (!aggs) return result;
+
+            var rows = group.rows;
+            var filtered = this._getAggregateRows('filtered', this._lastPageRows);
+            if (filtered) {
+                // One index per key depth (nested levels group on the first n keys)
+                var keyCount = group.keyCount || this.grouping.keys.length;
+                var indexes = this._internals.groupRowsIndex;
+                if (!indexes || indexes.source !== filtered) {
+                    indexes = this._internals.groupRowsIndex = { source: filtered, byKeyCount: {} };
+                }
+                var index = indexes.byKeyCount[keyCount] ||
+                    (indexes.byKeyCount[keyCount] = this._indexRowsByGroup(filtered, keyCount));
+                rows = index[group.key] || rows;
+            }
+
+            var self = this;
+            Object.keys(aggs).forEach(function (key) {
+                if (group.aggregates && Object.prototype.hasOwnProperty.call(group.aggregates, key)) {
+                    result[key] = group.aggregates[key];
+                    return;
+                }
+                var def = aggs[key];
+                var fn = _dtResolveAggregator(isPlainObject(def) ? def.aggregator : def);
+                if (typeof fn !== 'function') {
+                    result[key] = null;
+                    return;
+                }
+                try {
+                    result[key] = fn(rows.map(function (row) { return row ? row[key] : undefined; }), {
+                        key: key,
+                        rows: rows,
+                        group: group,
+                        table: self
+                    });
+                } catch (e) {
+                    result[key] = null;
+                }
+            });
+
+            return result;
+        }
+
+        _indexRowsByGroup(rows, keyCount) {
+            var keys = this.grouping.keys.slice(0, keyCount);
+            var groups = Object.create(null);
+            rows.forEach(function (row) {
+                var key = JSON.stringify(keys.map(function (k) { return row[k]; }));
+                (groups[key] || (groups[key] = [])).push(row);
+            });
+            return groups;
+        }
+
+        _isGroupCollapsed(groupKey) {
+            return this._groupState.collapsedByDefault !== this._groupState.toggled.has(groupKey);
+        }
+
+        /**
+         * Accept a group key as built by the table (JSON of the grouping values), an array of
+         * values in `grouping.keys` order, an object of values, or a single value.
+         * With nested grouping, the first n values designate a level-n group.
+         */
+        _resolveGroupKey(groupKey) {
+            if (Array.isArray(groupKey)) return JSON.stringify(groupKey);
+            if (isPlainObject(groupKey)) {
+                var keys = this.grouping.keys || [];
+                if (this.grouping.levels) keys = keys.slice(0, _dtCountPresentKeys(keys, groupKey));
+                return JSON.stringify(keys.map(function (k) { return groupKey[k]; }));
+            }
+            if (typeof groupKey === 'string' && groupKey.charAt(0) === '[') return groupKey;
+            return JSON.stringify([groupKey]);
+        }
+
+        _setGroupCollapsed(groupKey, collapsed) {
+            if (!this._hasGrouping() || groupKey == null) return;
+            var key = this._resolveGroupKey(groupKey);
+            if (this._isGroupCollapsed(key) === collapsed) return;
+
+            var state = this._groupState;
+            if (state.toggled.has(key)) state.toggled.delete(key);
+            else state.toggled.add(key);
+
+            var values = JSON.parse(key);
+            var detail = { groupKey: key, values: values };
+            if (this.grouping.levels) detail.level = values.length - 1;
+            this._emit(collapsed ? 'groupHidden' : 'groupShown', detail);
+            this._rerenderBodyOnly();
+        }
+
+        /**
+         * Expand (show the rows of) a group.
+         * @param {string|Array|Object} groupKey Group key, or its grouping values
+         */
+        expandGroup(groupKey) {
+            return this._setGroupCollapsed(groupKey, false);
+        }
+
+        /**
+         * Collapse (hide the rows of) a group.
+         * @param {string|Array|Object} groupKey Group key, or its grouping values
+         */
+        collapseGroup(groupKey) {
+            return this._setGroupCollapsed(groupKey, true);
+        }
+
+        /**
+         * Toggle a group.
+         * @param {string|Array|Object} groupKey Group key, or its grouping values
+         */
+        toggleGroup(groupKey) {
+            if (groupKey == null) return;
+            return this._setGroupCollapsed(groupKey, !this._isGroupCollapsed(this._resolveGroupKey(groupKey)));
+        }
+
+        /**
+         * Collapse every group (including groups on other pages).
+         */
+        collapseAllGroups() {
+            if (!this._hasGrouping()) return;
+            this._groupState.collapsedByDefault = true;
+            this._groupState.toggled.clear();
+            this._emit('groupHidden', { groupKey: null, all: true });
+            this._rerenderBodyOnly();
+        }
+
+        /**
+         * Change the grouping and re-draw from the first page. With nested grouping (`grouping.levels`,
+         * `nested: true` or the grouping panel) each key is a level; the configured level options are reused.
+         * @param {Array<string>} keys Grouping keys (empty array: no grouping)
+         */
+        setGrouping(keys) {
+            var oldKeys = this.getGrouping();
+            if (!this._applyGroupingKeys(keys)) return;
+
+            this.state.page = 1;
+            this._renderGroupingPanel();
+            this._emit('groupingChange', { keys: this.getGrouping(), oldKeys: oldKeys });
+            return this.draw();
+        }
+
+        /**
+         * Get the current grouping keys.
+         * @returns {Array<string>} (empty when the table is not grouped)
+         */
+        getGrouping() {
+            return this._hasGrouping() ? this.grouping.keys.slice() : [];
+        }
+
+        /**
+         * Set the grouping keys without drawing; resets the collapsed groups.
+         * @returns {boolean} whether the grouping changed
+         */
+        _applyGroupingKeys(keys) {
+            var grouping = this.grouping;
+            var list = [];
+            (Array.isArray(keys) ? keys : []).forEach(function (k) {
+                if (typeof k === 'string' && k && list.indexOf(k) === -1) list.push(k);
+            });
+            if (this.pivot.enabled || list.join('\u0000') === this.getGrouping().join('\u0000')) return false;
+
+            if (grouping.levels) {
+                var defs = grouping.levelDefs || [];
+                grouping.levels = list.map(function (k) {
+                    return defs.find(function (d) { return d.key === k; }) || _dtNormalizeGroupLevels([k])[0];
+                });
+            }
+            grouping.keys = list;
+            if (list.length) grouping.enabled = true;
+
+            this._groupState.toggled.clear();
+            this._internals.groupRowsIndex = null;
+            return true;
+        }
+
+        /**
+         * Ensure that a high-level container exists when any outer UI
+         * (pager, search box, filters bar, grouping panel) is enabled. The container wraps
+         * the table or its scroll wrapper together with the pager.
+         */
+        _ensureContainer() {
+            var needContainer =
+                this.paging?.enabled ||
+                this.filterRow?.enabled ||
+                this.searchConfig?.enabled ||
+                this.grouping?.panel.enabled ||
+                (this.filters && this.filters.enabled &&
+                    Array.isArray(this.filters.items) &&
+                    this.filters.items.length > 0);
+
+            if (!needContainer) return;
+
+            // If a container already exists and is still in the DOM, reuse it.
+            if (this.container && this.container.parentNode) {
+                return;
+            }
+
+            var table = this.table;
+            var parent = table.parentNode;
+            if (!parent) return;
+
+            // Create container and move the table into it.
+            var container = _dtCreateElement('div', TINY_TABLE_CLASSES.container);
+            parent.insertBefore(container, table);
+            container.appendChild(table);
+
+            this.container = container;
+        }
+
+        _initWrapper() {
+            var needWrapper = this.scrollX !== false || this.scrollY !== false;
+            if (!needWrapper) return;
+
+            var table = this.table;
+            var parent = table.parentNode;
+
+            // Avoid double-wrapping
+            if (!parent || (this.wrapper && this.wrapper.parentNode === parent)) return;
+
+            var wrapper = _dtCreateElement('div', TINY_TABLE_CLASSES.wrapper);
+
+            const _resolveOverflow = v => v === 'auto' ? 'auto' : (v ? 'scroll' : 'visible');
+
+            wrapper.style.overflowX = _resolveOverflow(this.scrollX); // Horizontal scroll
+            wrapper.style.overflowY = _resolveOverflow(this.scrollY); // Vertical scroll
+
+            parent.insertBefore(wrapper, table);
             wrapper.appendChild(table);
 
-            this.wrapper = wrapper;
+            this.wrapper = wrapper;
+        }
+
+        normalizeColumn(col, syntheticPrefix, index='') {
+            if (!col) return;
+            const self = this;
+            if (Array.isArray(col)) {
+                col.forEach(function (c, index) {
+                    self.normalizeColumn(c, syntheticPrefix, index);
+                });
+                return col;
+            } else if (typeof col === 'object') {
+                // 1) real key or synthetic key based on index
+                if (col.key == null || col.key === '') {
+                    col.key = '__' + (syntheticPrefix || 'col') + '_' + index;
+                    col.isSyntheticKey = true;
+                }
+                // 2) Type-based default renderer (only if no explicit render is defined)
+                if (!col.render && col.type && TinyDataTable.typeRenderers) {
+                    const typeKey = String(col.type).toLowerCase();
+                    const renderer = TinyDataTable.typeRenderers[typeKey];
+                    if (renderer) {
+                        col.render = renderer;
+                    }
+                }
+
+                return col;
+            }
+        }
+
+
+        _bindSearchInput(inputEl) {
+            const self = this;
+            if (!inputEl) return;
+
+            inputEl.value = this.state.searchText || '';
+
+            const typingDelay = typeof self.searchConfig?.debounceMs === 'number' ? self.searchConfig.debounceMs : 150;
+
+            const onInput = debounce(function (e) {
+                self.search(e.target.value);
+            }, typingDelay);
+
+            inputEl.addEventListener('input', onInput);
+
+            this.searchInput = inputEl;
+        }
+
+        // -----------------------------
+        // Controls bar: orchestrator + components
+        // -----------------------------
+        _initControlsBar() {
+            const parentForControls = this.container;
+            const anchorForControls = this.wrapper || this.table;
+
+            if (!parentForControls || !anchorForControls) return;
+
+            // Build components (each returns { el, order, align } or null)
+            const components = [
+                this._buildFiltersComponent(),
+                this._buildSearchComponent(),
+                this._buildButtonsComponent(),
+                this._buildGroupingPanelComponent()
+            ].filter(Boolean);
+
+            // If no components to render, nothing to do
+            if (!components.length) return;
+
+            // Create controls bar only if there is at least one component
+            const controls = _dtCreateElement('div', TINY_TABLE_CLASSES.controls);
+            this.controlsContainer = controls;
+
+            // Sort by order then append
+            components
+                .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+                .forEach(c => {
+                    // Optional: apply alignment class now (no-op if you don’t use it yet)
+                    if (c.align) {
+                        // Example: tt-pos-left / tt-pos-center / tt-pos-right
+                        controls.classList.add('tt-controls-has-align'); // optional marker
+                        _dtAddClass(c.el, 'tt-pos-' + String(c.align).toLowerCase());
+                    }
+
+                    controls.appendChild(c.el);
+                });
+
+            parentForControls.insertBefore(controls, anchorForControls);
+
+            this._initTooltipsInScope(this.controlsContainer); /// ?? why here
+        }
+
+
+        /**
+         * Component interface:
+         * {
+         *   key: 'filters'|'search'|'buttons'|'grouping',
+         *   el: HTMLElement,
+         *   order: number,
+         *   align: 'left'|'center'|'right'|undefined
+         * }
+         */
+
+        // -----------------------------
+        // Filters component
+        // -----------------------------
+        _buildFiltersComponent() {
+            const self = this;
+
+            const hasFiltersUI =
+                this.filters &&
+                this.filters.enabled &&
+                Array.isArray(this.filters.items) &&
+                this.filters.items.length > 0;
+
+            if (!hasFiltersUI) return null;
+
+            const filtersEl = _dtCreateElement('div', TINY_TABLE_CLASSES.filters);
+
+            this.filters.items.forEach(function (def) {
+                if (!def || !def.key) return;
+
+                const item = _dtCreateElement('div', TINY_TABLE_CLASSES.filterItem, {
+                    class: self.customClass?.filterItem
+                });
+
+                let labelEl = null;
+
+                if (def.label) {
+                    labelEl = _dtCreateElement('label', { text : String(def.label)});
+                    item.appendChild(labelEl);
+                }
+
+                if (def.tooltip) {
+                    item.setAttribute('data-tooltip', String(def.tooltip));
+                }
+
+                let controlNode;
+
+                // NOTE: your demo uses type: 'boolean' but your current code checks 'bool'
+                const isBoolean = (def.type === 'bool' || def.type === 'boolean');
+
+                if (isBoolean) {
+                    const switchLabel = _dtCreateElement('label', 'tt-switch');
+
+                    const input = _dtCreateElement('input', { type: 'checkbox', checked : !!(self.state.filters && self.state.filters[def.key])});
+                    switchLabel.appendChild(input);
+
+                    const lever = _dtCreateElement('span', 'lever');
+                    switchLabel.appendChild(lever);
+
+                    input.addEventListener('change', function () {
+                        if (!self.state.filters) self.state.filters = {};
+                        self.state.filters[def.key] = !!this.checked;
+                        self.state.page = 1;
+                        self.draw();
+                    });
+
+                    self._filterControls[def.key] = v => { input.checked = !!v; };
+                    controlNode = switchLabel;
+                } else if (FILTER_ITEM_KINDS[def.type]) {
+                    // Declarative types: multiselect, range, daterange, text, exists
+                    const kind = FILTER_ITEM_KINDS[def.type];
+                    const control = self._buildFilterControl(kind, {
+                        key: def.key,
+                        options: def.options,
+                        placeholder: def.placeholder,
+                        value: self.state.filters ? self.state.filters[def.key] : null,
+                        debounceMs: (typeof def.debounceMs === 'number') ? def.debounceMs : 300,
+                        onChange: function (value) {
+                            if (!self.state.filters) self.state.filters = {};
+                            self.state.filters[def.key] = _dtIsColumnFilterActive(kind, value) ? value : null;
+                            self.state.page = 1;
+                            self.draw();
+                        }
+                    });
+                    self._filterControls[def.key] = control.set;
+                    controlNode = control.el;
+                } else {
+                    const opts = def.options || [];
+                    const currentValue =
+                        (self.state.filters && self.state.filters[def.key] != null)
+                            ? String(self.state.filters[def.key])
+                            : '';
+
+                    const onFilterChange = function () {
+                        const v = this.value;
+                        if (!self.state.filters) self.state.filters = {};
+                        self.state.filters[def.key] = (v === '' ? null : v);
+                        self.state.page = 1;
+                        self.draw();
+                    };
+
+                    const select = TinyDataTable.buildSelect(opts, currentValue, onFilterChange);
+                    _dtAddClass(select, self.customClass?.select);
+
+                    self._filterControls[def.key] = v => { select.value = v == null ? '' : String(v); };
+                    controlNode = select;
+                }
+
+                if (def.id) controlNode.id = def.id;
+                if (def.name) controlNode.name = def.name;
+                if (labelEl && controlNode.id) labelEl.htmlFor = controlNode.id;
+
+                item.appendChild(controlNode);
+                filtersEl.appendChild(item);
+            });
+
+            return {
+                key: 'filters',
+                el: filtersEl,
+                // temporary defaults (you’ll tune later when you do ordering/alignment)
+                order: (typeof this.filters.order === 'number') ? this.filters.order : 2,
+                align: this.filters.align // optional (left|center|right)
+            };
+        }
+
+
+        // -----------------------------
+        // Search component
+        // -----------------------------
+        _buildSearchComponent() {
+            // Case A: internal search UI (rendered in controls bar)
+            const hasSearchUI =
+                this.searchConfig &&
+                this.searchConfig.enabled &&
+                this.searchConfig.selector !== '';
+
+            if (hasSearchUI) {
+                const searchEl = _dtCreateElement('div', TINY_TABLE_CLASSES.search);
+
+                const hasLabel = !isBlank(this.searchConfig?.label);
+
+                // Use table.id to match your desired output: "table-ajax-search"
+                const tableId = this.table && this.table.id ? this.table.id : '';
+                const inputId = tableId ? (tableId + '-search') : null;
+
+                if (hasLabel) {
+                    const labelAttrs = { text: this.searchConfig.label };
+                    if (inputId) labelAttrs.for = inputId;
+
+                    const labelEl = _dtCreateElement(
+                        'label',
+                        TINY_TABLE_CLASSES.searchLabel,
+                        labelAttrs
+                    );
+                    searchEl.appendChild(labelEl);
+                }
+
+                const inputEl = _dtCreateElement('input', TINY_TABLE_CLASSES.searchInput, { type : 'search', placeholder : this.searchConfig.placeholder || '', value : this.state.searchText || ''});
+
+                if (hasLabel && inputId) inputEl.id = inputId;
+
+                this._bindSearchInput(inputEl);
+
+                searchEl.appendChild(inputEl);
+
+                return {
+                    key: 'search',
+                    el: searchEl,
+                    order: (typeof this.searchConfig.order === 'number') ? this.searchConfig.order : 1,
+                    align: this.searchConfig.align
+                };
+            }
+
+            // Case B: external search selector (no component in controls bar, just bind)
+            if (this.searchConfig && this.searchConfig.selector) {
+                const inputEl = document.querySelector(this.searchConfig.selector);
+                if (!inputEl) {
+                    console.warn('TinyDataTable: search.selector input not found:', this.searchConfig.selector);
+                } else {
+                    this._bindSearchInput(inputEl);
+                }
+            }
+
+            return null;
         }
 
-        normalizeColumn(col, syntheticPrefix, index='') {
-            if (!col) return;
+        // -----------------------------
+        // Buttons component
+        // -----------------------------
+        _buildButtonsComponent() {
             const self = this;
-            if (Array.isArray(col)) {
-                col.forEach(function (c, index) {
-                    self.normalizeColumn(c, syntheticPrefix, index);
-                });
-                return col;
-            } else if (typeof col === 'object') {
-                // 1) real key or synthetic key based on index
-                if (col.key == null || col.key === '') {
-                    col.key = '__' + (syntheticPrefix || 'col') + '_' + index;
-                    col.isSyntheticKey = true;
+            // Recommended: allow buttons to be either array OR { items, order, align }
+            const raw = this.options.buttons;
+
+            const defs = Array.isArray(raw)
+                ? raw
+                : (raw && typeof raw === 'object' && Array.isArray(raw.items))
+                    ? raw.items
+                    : [];
+
+            if (!defs.length) return null;
+
+            // Refactor your existing _renderControlButtons logic into a builder that RETURNS the element.
+            // Here is the expected pattern:
+
+            const actionsEl = _dtCreateElement('div', TINY_TABLE_CLASSES.controlsActions);
+
+            defs.forEach((def, i) => {
+                if (!def) return;
+
+                // Divider
+                if (def.divider) {
+                    actionsEl.appendChild(_dtCreateElement('span', 'tt-btn-divider'));
+                    return;
                 }
-                // 2) Type-based default renderer (only if no explicit render is defined)
-                if (!col.render && col.type && TinyDataTable.typeRenderers) {
-                    const typeKey = String(col.type).toLowerCase();
-                    const renderer = TinyDataTable.typeRenderers[typeKey];
-                    if (renderer) {
-                        col.render = renderer;
+
+                // Allow raw Node insertion
+                if (def instanceof Node) {
+                    actionsEl.appendChild(def);
+                    return;
+                }
+
+                // Allow HTML-only
+                if (def.html && typeof def.html === 'string') {
+                    const wrap = _dtCreateElement('span', 'tt-btn-html', { html : def.html});
+                    actionsEl.appendChild(wrap);
+                    return;
+                }
+
+                const btn = _dtCreateElement('button', undefined, { type: 'button' });
+
+                if (def.id) btn.id = def.id;
+                if (def.name) btn.name = def.name;
+                if (def.title) btn.title = String(def.title);
+                if (def.className) _dtAddClass(btn, def.className);
+
+                // Disabled: bool or function
+                const disabled = (typeof def.disabled === 'function') ? !!def.disabled(this.api()) : !!def.disabled;
+                if (disabled) btn.disabled = true;
+
+                const icon = typeof def.icon === 'string' ? def.icon.trim() : '';
+                const html = typeof def.html === 'string' ? def.html.trim() : '';
+                const text = typeof def.text === 'string' ? escapeHtml(def.text.trim()) : '';
+                const tooltip = typeof def.tooltip === 'string' ? def.tooltip.trim() : '';
+                const isBtnIcon = icon && !html && !text;
+
+                btn.classList.add(isBtnIcon ? 'tt-btn-icon' : 'tt-btn');
+                // icon-only case → HTML + special class
+                if (isBtnIcon) {
+                    btn.innerHTML = icon;
+                }  else if (html) {
+                    btn.innerHTML = [icon, html].filter(Boolean).join(' ');
+                } else {  // text content (safe)
+                    btn.textContent = [icon, text].filter(Boolean).join(' ');
+                }
+
+                if (tooltip) {
+                    btn.setAttribute('data-tooltip', tooltip);   // for custom tooltip styling
+                }
+                // Click behavior
+                const type = def.type ? String(def.type).toLowerCase() : '';
+
+                if (type === 'export') {
+                    if (Array.isArray(def.format) && def.format.length) {
+                        // Create unique menu ID (to avoid conflicts if multiple export buttons)
+                        const id = Math.random().toString(36).slice(2);
+                        const menuId = `exportMenu_${id}`;
+
+                        // Assign id to btn if missing (to use as triggerSelector)
+                        if (!btn.id) btn.id = `exportButton_${id}`;
+                        btn.classList.add('tt-dropdown-button');
+
+                        // Create the popup menu <ul>
+                        const menu = _dtCreateElement('ul','tt-dropdown',{id : menuId});
+
+                        // Create <li> for each format in def.format array
+                        def.format.forEach(fmt => {
+                            const defaultLabel = `Export as ${fmt.toUpperCase()}`;
+                            // Use label function from def, or from default config, or fallback to generic
+                            const labelFn =
+                                (def && typeof def.label === 'function' && def.label) ||
+                                TinyDataTable.defaults?.texts?.exportButton?.label ||
+                                (f => defaultLabel);
+                            let label = labelFn(fmt);
+                            // Defensive: ensure label is a non-empty string
+                            label = typeof label === 'string' && label.trim() ? label : defaultLabel;
+                            menu.appendChild(_dtCreateElement('li','item',{ 'data-format' : fmt, text: label}));
+                        });
+
+                        // Append menu to DOM, for example right after actionsEl or body
+                        actionsEl.appendChild(menu);
+
+                        // Instantiate Popup class with the created menu
+                        new Popup(menu, {
+                            triggerSelector: btn, // We'll assign id to btn if missing below
+                            onClick: (e, dataset) => {
+                                self.exportTo(dataset.format || 'xlsx', def.sheetname, def.filename);
+                            }
+                        });
+                    }
+                    else {
+                        def.onClick = (api,ev,def) => {
+                            self.exportTo(def.format || 'xlsx', def.sheetname, def.filename);
+                        }
                     }
                 }
+                if (type === 'refresh') {
+                    def.onClick = api => api.refresh();
+                }
+                if (type === 'columns') {
+                    const id = Math.random().toString(36).slice(2);
+                    if (!btn.id) btn.id = `columnsButton_${id}`;
+                    btn.classList.add('tt-dropdown-button');
+
+                    // Checklist of columns (columns with `hideable: false` are not listed)
+                    const menu = _dtCreateElement('ul', 'tt-dropdown tt-column-chooser', { id: `columnsMenu_${id}` });
+                    const inputsByKey = {};
+
+                    this.columns.forEach(col => {
+                        if (col.hideable === false) return;
+                        const li = _dtCreateElement('li', 'item', { 'data-key': col.key });
+                        const input = _dtCreateElement('input', { type: 'checkbox', checked: col.visible !== false, tabIndex: -1 });
+                        li.appendChild(input);
+                        li.appendChild(_dtCreateElement('span', { text: String(col.title || col.key) }));
+                        inputsByKey[col.key] = input;
+                        menu.appendChild(li);
+                    });
+
+                    actionsEl.appendChild(menu);
+
+                    new Popup(menu, {
+                        triggerSelector: btn,
+                        closeOnClick: false,
+                        onClick: (e, dataset) => {
+                            self.toggleColumn(dataset.key);
+                        }
+                    });
+
+                    // Keep the checklist in sync with programmatic visibility changes
+                    self.on('columnVisibility', info => {
+                        Object.keys(inputsByKey).forEach(k => {
+                            inputsByKey[k].checked = info.visibility[k] !== false;
+                        });
+                    });
+                    // ... and with the column order
+                    self.on('columnReorder', info => {
+                        info.newOrder.forEach(k => {
+                            if (inputsByKey[k]) menu.appendChild(inputsByKey[k].parentNode);
+                        });
+                    });
+                }
+
+                if (typeof def.onClick === 'function') {
+                    btn.addEventListener('click', ev => def.onClick(self.api(), ev, def));
+                }
+
+                actionsEl.appendChild(btn);
+            });
+
+            if (!actionsEl) return null;
+
+            // Keep reference like before (if you used it)
+            this.controlsActions = actionsEl;
+
+            // Layout metadata (optional)
+            const order = (!Array.isArray(raw) && raw && typeof raw.order === 'number') ? raw.order : 3;
+            const align = (!Array.isArray(raw) && raw && raw.align) ? raw.align : undefined;
+
+            return {
+                key: 'buttons',
+                el: actionsEl,
+                order: order,
+                align: align
+            };
+        }
+
+        // -----------------------------
+        // Grouping panel component
+        // -----------------------------
+        _buildGroupingPanelComponent() {
+            var panelConfig = this.grouping.panel;
+            if (!panelConfig.enabled) return null;
+
+            var panel = _dtCreateElement('div', TINY_TABLE_CLASSES.groupingPanel, {
+                role: 'group',
+                'aria-label': this.texts.groupingPanelLabel || 'Row grouping'
+            });
+            this.groupingPanel = panel;
+            this._renderGroupingPanel();
+
+            return {
+                key: 'grouping',
+                el: panel,
+                order: panelConfig.order,
+                align: panelConfig.align
+            };
+        }
+
+        /**
+         * (Re)build the grouping panel content: one chip per grouping level, or the placeholder.
+         */
+        _renderGroupingPanel() {
+            var panel = this.groupingPanel;
+            if (!panel) return;
+            var self = this;
+            var keys = this.getGrouping();
+
+            panel.textContent = '';
+
+            if (!keys.length) {
+                panel.appendChild(_dtCreateElement('span', TINY_TABLE_CLASSES.groupingPlaceholder, {
+                    text: this.grouping.panel.placeholder || this.texts.groupingPanelPlaceholder || 'Drag a column header here to group by it'
+                }));
+                return;
+            }
+
+            keys.forEach(function (key) {
+                var col = self._getColumn(key);
+                var title = (col && col.title) || key;
+                var chip = _dtCreateElement('span', TINY_TABLE_CLASSES.groupingChip, { 'data-key': key, draggable: true });
+                chip.appendChild(_dtCreateElement('span', TINY_TABLE_CLASSES.groupingChipLabel, { text: title }));
+                chip.appendChild(_dtCreateElement('button', TINY_TABLE_CLASSES.groupingChipRemove, {
+                    type: 'button',
+                    'aria-label': formatText(self.texts.groupingRemove || 'Remove grouping by {column}', { column: title }),
+                    text: '×'
+                }));
+                panel.appendChild(chip);
+            });
+        }
+
+        _isColumnGroupable(col) {
+            return !!(this.grouping.panel.enabled && col && col.key && col.groupable !== false);
+        }
+
+        /**
+         * Grouping panel interactions: drop a header cell to add a level (at the drop position), drag
+         * the chips to reorder the levels, and the remove buttons.
+         */
+        _initGroupingPanel() {
+            var self = this;
+            var panel = this.groupingPanel;
+            var dragKey = null;
+            var dropChip = null;
+
+            var clearDropMarker = function () {
+                panel.classList.remove(TINY_TABLE_CLASSES.groupingPanelOver);
+                if (!dropChip) return;
+                dropChip.classList.remove(TINY_TABLE_CLASSES.columnDropBefore, TINY_TABLE_CLASSES.columnDropAfter);
+                dropChip = null;
+            };
+            // Insert index in the current keys for the pointer position (end of the list by default)
+            var dropTarget = function (e) {
+                var keys = self.getGrouping();
+                var chip = e.target && e.target.closest ? e.target.closest('.' + TINY_TABLE_CLASSES.groupingChip) : null;
+                if (!chip || !panel.contains(chip)) return { chip: null, index: keys.length };
+                var rect = chip.getBoundingClientRect();
+                var after = e.clientX > rect.left + rect.width / 2;
+                return { chip: chip, after: after, index: keys.indexOf(chip.dataset.key) + (after ? 1 : 0) };
+            };
+            var endDrag = function () {
+                clearDropMarker();
+                var chip = dragKey && panel.querySelector('.' + TINY_TABLE_CLASSES.groupingChipDragging);
+                if (chip) chip.classList.remove(TINY_TABLE_CLASSES.groupingChipDragging);
+                dragKey = null;
+            };
+
+            this.headerRow.addEventListener('dragstart', function (e) {
+                var th = e.target && e.target.closest ? e.target.closest('th') : null;
+                if (!th || !th.dataset.key || !self._isColumnGroupable(self._getColumn(th.dataset.key))) return;
+                dragKey = th.dataset.key;
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    try { e.dataTransfer.setData('text/plain', dragKey); } catch (err) { /* noop */ }
+                }
+            });
+            this.headerRow.addEventListener('dragend', endDrag);
+
+            panel.addEventListener('dragstart', function (e) {
+                var chip = e.target && e.target.closest ? e.target.closest('.' + TINY_TABLE_CLASSES.groupingChip) : null;
+                if (!chip) return;
+                dragKey = chip.dataset.key;
+                chip.classList.add(TINY_TABLE_CLASSES.groupingChipDragging);
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    try { e.dataTransfer.setData('text/plain', dragKey); } catch (err) { /* noop */ }
+                }
+            });
+            panel.addEventListener('dragend', endDrag);
+
+            panel.addEventListener('dragover', function (e) {
+                if (!dragKey) return;
+                e.preventDefault();
+                if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+
+                var target = dropTarget(e);
+                if (target.chip !== dropChip) clearDropMarker();
+                panel.classList.add(TINY_TABLE_CLASSES.groupingPanelOver);
+                if (!target.chip || target.chip.dataset.key === dragKey) return;
+                dropChip = target.chip;
+                dropChip.classList.toggle(TINY_TABLE_CLASSES.columnDropBefore, !target.after);
+                dropChip.classList.toggle(TINY_TABLE_CLASSES.columnDropAfter, target.after);
+            });
 
-                return col;
-            }
+            panel.addEventListener('dragleave', function (e) {
+                if (!panel.contains(e.relatedTarget)) clearDropMarker();
+            });
+
+            panel.addEventListener('drop', function (e) {
+                if (!dragKey) return;
+                e.preventDefault();
+
+                var key = dragKey;
+                var keys = self.getGrouping();
+                var index = dropTarget(e).index;
+                var from = keys.indexOf(key);
+                endDrag();
+
+                if (from !== -1) {
+                    keys.splice(from, 1);
+                    if (from < index) index--;
+                }
+                keys.splice(index, 0, key);
+                self.setGrouping(keys);
+            });
+
+            _addEventListener(panel, 'click', '.' + TINY_TABLE_CLASSES.groupingChipRemove, function (e, btn) {
+                var key = btn.parentNode.dataset.key;
+                self.setGrouping(self.getGrouping().filter(function (k) { return k !== key; }));
+            });
         }
 
+        /**
+         * Create (or adopt an existing DOM) header cell for a column and cache it by key.
+         * @param {Object} col
+         * @param {number} index Column index (used for synthetic keys)
+         * @param {HTMLElement|null} existingTh <th> found in the original markup
+         * @returns {HTMLElement}
+         */
+        _buildHeaderCell(col, index, existingTh) {
+            this.normalizeColumn(col, 'col', index);
+
+            const th = existingTh || _dtCreateElement('th');
+
+            const hasDomTitle = !!(existingTh && (th.innerHTML.trim() || th.textContent.trim()));
+            if (hasDomTitle) {
+                col.title = th.textContent.trim();
+            } else if (col.title) {
+                th.textContent = col.title;
+            } else if (col.html) {
+                th.innerHTML = col.html;
+            }
 
-        _bindSearchInput(inputEl) {
-            const self = this;
-            if (!inputEl) return;
+            if (col.key) th.dataset.key = col.key;
 
-            inputEl.value = this.state.searchText || '';
+            if (!isBlank(col.className)) {
+                var colClasses = tokenize_str(col.className);
+                _dtAddClass(th, colClasses);
+                col.className = colClasses;
+            }
 
-            const typingDelay = typeof self.searchConfig?.debounceMs === 'number' ? self.searchConfig.debounceMs : 150;
+            if (col.sortable !== false) th.style.cursor = 'pointer';
 
-            const onInput = debounce(function (e) {
-                self.search(e.target.value);
-            }, typingDelay);
+            if ((this.colReorder.enabled && col.reorderable !== false) || this._isColumnGroupable(col)) th.draggable = true;
 
-            inputEl.addEventListener('input', onInput);
+            if (this._isColumnResizable(col)) {
+                th.appendChild(_dtCreateElement('span', TINY_TABLE_CLASSES.resizeHandle, { 'aria-hidden': 'true' }));
+            }
 
-            this.searchInput = inputEl;
-        }
+            if (col.headerTooltip) th.setAttribute('data-tooltip', String(col.headerTooltip));
 
-        // -----------------------------
-        // Controls bar: orchestrator + components
-        // -----------------------------
-        _initControlsBar() {
-            const parentForControls = this.container;
-            const anchorForControls = this.wrapper || this.table;
+            // Apply column style props to the TH (no mutation of col)
+            _dtApplyColumnStyleProps(col, th, COL_STYLE_PROPS);
 
-            if (!parentForControls || !anchorForControls) return;
+            this._headerCells[col.key] = th;
+            return th;
+        }
 
-            // Build components (each returns { el, order, align } or null)
-            const components = [
-                this._buildFiltersComponent(),
-                this._buildSearchComponent(),
-                this._buildButtonsComponent()
-            ].filter(Boolean);
+        /**
+         * (Re)build the header row from the cached header cells: selection cell
+         * first, then one cell per visible column in `this.columns` order.
+         * The filter row (if enabled) follows the same layout.
+         */
+        _renderHeaderRow() {
+            if (!this.headerRow) return;
+            const self = this;
+            const cells = [];
 
-            // If no components to render, nothing to do
-            if (!components.length) return;
+            if (this._headerSelectCell) cells.push(this._headerSelectCell);
 
-            // Create controls bar only if there is at least one component
-            const controls = _dtCreateElement('div', TINY_TABLE_CLASSES.controls);
-            this.controlsContainer = controls;
+            this.columns.forEach(function (col, index) {
+                if (col.visible === false) return;
+                cells.push(self._headerCells[col.key] || self._buildHeaderCell(col, index, null));
+            });
 
-            // Sort by order then append
-            components
-                .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
-                .forEach(c => {
-                    // Optional: apply alignment class now (no-op if you don’t use it yet)
-                    if (c.align) {
-                        // Example: tt-pos-left / tt-pos-center / tt-pos-right
-                        controls.classList.add('tt-controls-has-align'); // optional marker
-                        _dtAddClass(c.el, 'tt-pos-' + String(c.align).toLowerCase());
-                    }
+            this.headerRow.replaceChildren(...cells);
+            this._renderColgroup();
 
-                    controls.appendChild(c.el);
+            if (this.filterHeaderRow) {
+                const filterCells = [];
+                if (this._headerSelectCell) filterCells.push(_dtCreateElement('th', TINY_TABLE_CLASSES.filterCell));
+                this.columns.forEach(function (col) {
+                    if (col.visible === false) return;
+                    filterCells.push(self._filterCells[col.key] || self._buildFilterCell(col));
                 });
+                this.filterHeaderRow.replaceChildren(...filterCells);
+            }
+        }
 
-            parentForControls.insertBefore(controls, anchorForControls);
+        /**
+         * (Re)build the cells of every footer row (one <th> per visible column).
+         */
+        _renderFooterRow() {
+            if (!this.footer.enabled || !this.footerRows.length) return;
+            const self = this;
 
-            this._initTooltipsInScope(this.controlsContainer); /// ?? why here
+            this.footerRows.forEach(function (tr) {
+                const cells = [];
+
+                // Selection column footer cell (empty, or the row label)
+                if (self.select.enabled) cells.push(_dtCreateElement('th'));
+
+                self.columns.forEach(function (col) {
+                    if (col.visible === false) return;
+                    cells.push(_dtCreateElement('th', { 'data-key': col.key }));
+                });
+
+                tr.replaceChildren(...cells);
+            });
         }
 
+        /**
+         * Resolve the filter-row definition of a column (null when the column has no filter).
+         * @param {Object} col
+         * @returns {{type:string, options:Array|null, placeholder:string|undefined}|null}
+         */
+        _getColumnFilterDef(col) {
+            if (!this.filterRow.enabled || !col || !col.key || col.isSyntheticKey || col.filter === false) return null;
+            var cfg = isPlainObject(col.filter) ? col.filter : { type: typeof col.filter === 'string' ? col.filter : 'text' };
+            var type = String(cfg.type || 'text').toLowerCase();
+            if (type === 'multiselect') type = 'select';
+            return {
+                type: ['text', 'number', 'date', 'select'].indexOf(type) !== -1 ? type : 'text',
+                options: cfg.options || null,
+                placeholder: cfg.placeholder
+            };
+        }
 
         /**
-         * Component interface:
-         * {
-         *   key: 'filters'|'search'|'buttons',
-         *   el: HTMLElement,
-         *   order: number,
-         *   align: 'left'|'center'|'right'|undefined
-         * }
+         * Active filter-row filters, in column order.
+         * @returns {Array<{key:string, type:string, value:*}>}
          */
+        _getActiveColumnFilters() {
+            var self = this;
+            var values = this.state.columnFilters || {};
+            var list = [];
+            this.columns.forEach(function (col) {
+                if (!Object.prototype.hasOwnProperty.call(values, col.key)) return;
+                var def = self._getColumnFilterDef(col);
+                if (!def || !_dtIsColumnFilterActive(def.type, values[col.key])) return;
+                list.push({ key: col.key, type: def.type, value: values[col.key] });
+            });
+            return list;
+        }
 
-        // -----------------------------
-        // Filters component
-        // -----------------------------
-        _buildFiltersComponent() {
-            const self = this;
+        /**
+         * Filter-row values in the shape sent to the server as `columnFilters`.
+         */
+        _serializeColumnFilters() {
+            var out = {};
+            this._getActiveColumnFilters().forEach(function (f) {
+                if (f.type === 'number') out[f.key] = { type: 'number', min: f.value.min ?? null, max: f.value.max ?? null };
+                else if (f.type === 'date') out[f.key] = { type: 'date', from: f.value.from || null, to: f.value.to || null };
+                else if (f.type === 'select') out[f.key] = { type: 'select', values: f.value.slice() };
+                else out[f.key] = { type: 'text', value: String(f.value).trim() };
+            });
+            return out;
+        }
 
-            const hasFiltersUI =
-                this.filters &&
-                this.filters.enabled &&
-                Array.isArray(this.filters.items) &&
-                this.filters.items.length > 0;
+        /**
+         * Distinct values of a column in the local data (used by 'select' filters without `options`).
+         */
+        _getDistinctColumnValues(key) {
+            var rows = (this.dataSource && Array.isArray(this.dataSource.original)) ? this.dataSource.original : this._lastPageRows;
+            var seen = new Set();
+            (rows || []).forEach(function (row) {
+                var v = row[key];
+                if (v != null && v !== '') seen.add(String(v));
+            });
+            return Array.from(seen).sort(this.collator.compare);
+        }
 
-            if (!hasFiltersUI) return null;
+        /**
+         * Build the filter-row cell of a column and register its state setter.
+         * @param {Object} col
+         * @returns {HTMLElement}
+         */
+        _buildFilterCell(col) {
+            const self = this;
+            const th = _dtCreateElement('th', TINY_TABLE_CLASSES.filterCell, { 'data-filter-key': col.key });
+            this._filterCells[col.key] = th;
+
+            const def = this._getColumnFilterDef(col);
+            if (!def) return th;
+
+            const key = col.key;
+            const control = this._buildFilterControl(def.type, {
+                key: key,
+                options: def.options,
+                placeholder: def.placeholder,
+                value: (this.state.columnFilters || {})[key],
+                debounceMs: this.filterRow.debounceMs,
+                onChange: function (value) {
+                    if (!self.state.columnFilters) self.state.columnFilters = {};
+                    if (_dtIsColumnFilterActive(def.type, value)) self.state.columnFilters[key] = value;
+                    else delete self.state.columnFilters[key];
+                    self.state.page = 1;
+                    self.draw();
+                }
+            });
 
-            const filtersEl = _dtCreateElement('div', TINY_TABLE_CLASSES.filters);
+            this._columnFilterControls[key] = control.set;
+            th.appendChild(control.el);
+            return th;
+        }
 
-            this.filters.items.forEach(function (def) {
-                if (!def || !def.key) return;
+        /**
+         * Build a filter control (shared by the filter row and the filters bar).
+         * @param {string} kind 'text' | 'number' | 'date' | 'select' | 'exists'
+         * @param {Object} opts
+         * @param {string} opts.key Row property (distinct values for 'select' without options)
+         * @param {Array} [opts.options] Options of 'select' controls
+         * @param {string} [opts.placeholder] Placeholder of 'text' controls
+         * @param {*} [opts.value] Initial value
+         * @param {number} [opts.debounceMs] Delay for typed input (text / number)
+         * @param {function(*)} opts.onChange Receives the new filter value
+         * @returns {{el: HTMLElement, set: function(*)}}
+         */
+        _buildFilterControl(kind, opts) {
+            const self = this;
+            const texts = this.texts;
+            const onChange = opts.onChange;
+            const onChangeDebounced = debounce(onChange, opts.debounceMs || 0);
+            const toNumber = v => (v === '' || isNaN(Number(v))) ? null : Number(v);
+
+            if (kind === 'number' || kind === 'date') {
+                const isNumber = kind === 'number';
+                const inputType = isNumber ? 'number' : 'date';
+                const lo = _dtCreateElement('input', 'tt-input', { type: inputType, placeholder: isNumber ? (texts.filterMin || 'Min') : '', title: isNumber ? '' : (texts.filterFrom || 'From') });
+                const hi = _dtCreateElement('input', 'tt-input', { type: inputType, placeholder: isNumber ? (texts.filterMax || 'Max') : '', title: isNumber ? '' : (texts.filterTo || 'To') });
+
+                const read = () => isNumber
+                    ? { min: toNumber(lo.value), max: toNumber(hi.value) }
+                    : { from: lo.value || null, to: hi.value || null };
+                const set = function (value) {
+                    const v = isPlainObject(value) ? value : {};
+                    lo.value = (isNumber ? v.min : v.from) ?? '';
+                    hi.value = (isNumber ? v.max : v.to) ?? '';
+                };
 
-                const item = _dtCreateElement('div', TINY_TABLE_CLASSES.filterItem, {
-                    class: self.customClass?.filterItem
+                [lo, hi].forEach(input => {
+                    input.addEventListener(isNumber ? 'input' : 'change', () => (isNumber ? onChangeDebounced : onChange)(read()));
                 });
+                set(opts.value);
 
-                let labelEl = null;
+                const range = _dtCreateElement('div', 'tt-filter-range');
+                range.append(lo, hi);
+                return { el: range, set: set };
+            }
 
-                if (def.label) {
-                    labelEl = _dtCreateElement('label', { text : String(def.label)});
-                    item.appendChild(labelEl);
-                }
+            if (kind === 'select') {
+                const selected = new Set(Array.isArray(opts.value) ? opts.value.map(String) : []);
+                const id = Math.random().toString(36).slice(2);
+                const btn = _dtCreateElement('button', 'tt-button tt-dropdown-button tt-filter-select', { type: 'button', id: `filterButton_${id}` });
+                const menu = _dtCreateElement('ul', 'tt-dropdown tt-filter-options', { id: `filterMenu_${id}` });
 
-                if (def.tooltip) {
-                    item.setAttribute('data-tooltip', String(def.tooltip));
-                }
+                const updateLabel = function () {
+                    btn.textContent = selected.size === 0
+                        ? (texts.filterAll || 'All')
+                        : (texts.filterSelected || '{count} selected').replace('{count}', String(selected.size));
+                };
+                const renderOptions = function () {
+                    const options = opts.options
+                        ? TinyDataTable._normalizeOptions(opts.options)
+                        : self._getDistinctColumnValues(opts.key).map(v => ({ value: v, label: v }));
+                    menu.replaceChildren(...options.map(function (opt) {
+                        const value = String(opt.value);
+                        const li = _dtCreateElement('li', 'item', { 'data-value': value });
+                        li.appendChild(_dtCreateElement('input', { type: 'checkbox', checked: selected.has(value), tabIndex: -1 }));
+                        li.appendChild(_dtCreateElement('span', { text: String(opt.label) }));
+                        return li;
+                    }));
+                };
+                const set = function (value) {
+                    selected.clear();
+                    if (Array.isArray(value)) value.forEach(v => selected.add(String(v)));
+                    updateLabel();
+                    renderOptions();
+                };
 
-                let controlNode;
+                // Options are (re)computed on open: local data may have changed (setData, loadOnce)
+                btn.addEventListener('click', renderOptions);
+                (this.container || this.table.parentNode).appendChild(menu);
+                new Popup(menu, {
+                    triggerSelector: btn,
+                    closeOnClick: false,
+                    onClick: (e, dataset) => {
+                        if (dataset.value == null) return;
+                        if (selected.has(dataset.value)) selected.delete(dataset.value);
+                        else selected.add(dataset.value);
+                        const input = e.target.closest('li').querySelector('input');
+                        if (input) input.checked = selected.has(dataset.value);
+                        updateLabel();
+                        onChange(Array.from(selected));
+                    }
+                });
 
-                // NOTE: your demo uses type: 'boolean' but your current code checks 'bool'
-                const isBoolean = (def.type === 'bool' || def.type === 'boolean');
+                updateLabel();
+                return { el: btn, set: set };
+            }
 
-                if (isBoolean) {
-                    const switchLabel = _dtCreateElement('label', 'tt-switch');
+            if (kind === 'exists') {
+                const toString = v => (typeof v === 'boolean' ? String(v) : '');
+                const select = TinyDataTable.buildSelect([
+                    { value: '', label: texts.filterAll || 'All' },
+                    { value: 'true', label: texts.filterExists || 'With value' },
+                    { value: 'false', label: texts.filterNotExists || 'Without value' }
+                ], toString(opts.value), function () {
+                    onChange(this.value === '' ? null : this.value === 'true');
+                });
+                _dtAddClass(select, this.customClass?.select);
+                return { el: select, set: function (value) { select.value = toString(value); } };
+            }
 
-                    const input = _dtCreateElement('input', { type: 'checkbox', checked : !!(self.state.filters && self.state.filters[def.key])});
-                    switchLabel.appendChild(input);
+            // Text
+            const input = _dtCreateElement('input', 'tt-input', { type: 'search', placeholder: opts.placeholder ?? (texts.filterPlaceholder || 'Filter…') });
+            input.value = opts.value == null ? '' : String(opts.value);
+            input.addEventListener('input', () => onChangeDebounced(input.value));
+            return { el: input, set: function (value) { input.value = value == null ? '' : String(value); } };
+        }
 
-                    const lever = _dtCreateElement('span', 'lever');
-                    switchLabel.appendChild(lever);
+        /**
+         * `state.filters` in the shape sent to the server as `filters`: 'bool' / 'select' values are
+         * passed as-is, declarative types (FILTER_ITEM_KINDS) as `{ op, ... }` when active.
+         */
+        _serializeFilters() {
+            var filters = this.state.filters || {};
+            var defs = (this.filters && Array.isArray(this.filters.items)) ? this.filters.items : [];
+            var out = {};
+
+            Object.keys(filters).forEach(function (key) {
+                var value = filters[key];
+                var def = defs.find(function (f) { return f && f.key === key; });
+                var kind = def && FILTER_ITEM_KINDS[def.type];
+
+                if (!kind) {
+                    out[key] = value;
+                    return;
+                }
+                if (!_dtIsColumnFilterActive(kind, value)) return;
+
+                switch (def.type) {
+                    case 'multiselect':
+                        out[key] = { op: 'in', value: value.map(String) };
+                        break;
+                    case 'range':
+                        out[key] = { op: 'between', min: value.min ?? null, max: value.max ?? null };
+                        break;
+                    case 'daterange':
+                        out[key] = { op: 'dateBetween', from: value.from || null, to: value.to || null };
+                        break;
+                    case 'exists':
+                        out[key] = { op: 'exists', value: value };
+                        break;
+                    default:
+                        out[key] = { op: def.operator === 'startsWith' || def.operator === 'regex' ? def.operator : 'contains', value: String(value).trim() };
+                }
+            });
 
-                    input.addEventListener('change', function () {
-                        if (!self.state.filters) self.state.filters = {};
-                        self.state.filters[def.key] = !!this.checked;
-                        self.state.page = 1;
-                        self.draw();
-                    });
+            return out;
+        }
 
-                    controlNode = switchLabel;
-                } else {
-                    const opts = def.options || [];
-                    const currentValue =
-                        (self.state.filters && self.state.filters[def.key] != null)
-                            ? String(self.state.filters[def.key])
-                            : '';
+        /**
+         * Native drag & drop on the header row. Dropping on the left / right half of a header
+         * cell inserts the dragged column before / after it.
+         */
+        _initColumnReorder() {
+            var self = this;
+            var dragKey = null;
+            var dropTh = null;
 
-                    const onFilterChange = function () {
-                        const v = this.value;
-                        if (!self.state.filters) self.state.filters = {};
-                        self.state.filters[def.key] = (v === '' ? null : v);
-                        self.state.page = 1;
-                        self.draw();
-                    };
+            var clearDropMarker = function () {
+                if (!dropTh) return;
+                dropTh.classList.remove(TINY_TABLE_CLASSES.columnDropBefore, TINY_TABLE_CLASSES.columnDropAfter);
+                dropTh = null;
+            };
+            var dropTarget = function (e) {
+                var th = e.target && e.target.closest ? e.target.closest('th') : null;
+                if (!th || th.parentNode !== self.headerRow || !th.dataset.key || th.dataset.key === dragKey) return null;
+                var col = self._getColumn(th.dataset.key);
+                if (!col || col.reorderable === false) return null;
+                var rect = th.getBoundingClientRect();
+                return { th: th, col: col, after: e.clientX > rect.left + rect.width / 2 };
+            };
 
-                    controlNode = TinyDataTable.buildSelect(opts, currentValue, onFilterChange);
-                    _dtAddClass(controlNode, self.customClass?.select);
+            this.headerRow.addEventListener('dragstart', function (e) {
+                var th = e.target && e.target.closest ? e.target.closest('th') : null;
+                if (!th || !th.dataset.key || !th.draggable) return;
+                // Draggable for the grouping panel only
+                if (self._getColumn(th.dataset.key)?.reorderable === false) return;
+                if (self._internals.resizing) {
+                    e.preventDefault();
+                    return;
+                }
+                dragKey = th.dataset.key;
+                th.classList.add(TINY_TABLE_CLASSES.columnDragging);
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    try { e.dataTransfer.setData('text/plain', dragKey); } catch (err) { /* noop */ }
                 }
+            });
 
-                if (def.id) controlNode.id = def.id;
-                if (def.name) controlNode.name = def.name;
-                if (labelEl && controlNode.id) labelEl.htmlFor = controlNode.id;
+            this.headerRow.addEventListener('dragover', function (e) {
+                if (!dragKey) return;
+                var target = dropTarget(e);
+                if (target?.th !== dropTh) clearDropMarker();
+                if (!target) return;
+
+                e.preventDefault();
+                if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+                dropTh = target.th;
+                dropTh.classList.toggle(TINY_TABLE_CLASSES.columnDropBefore, !target.after);
+                dropTh.classList.toggle(TINY_TABLE_CLASSES.columnDropAfter, target.after);
+            });
 
-                item.appendChild(controlNode);
-                filtersEl.appendChild(item);
+            this.headerRow.addEventListener('dragleave', function (e) {
+                if (dropTh && !dropTh.contains(e.relatedTarget)) clearDropMarker();
+            });
+
+            this.headerRow.addEventListener('drop', function (e) {
+                if (!dragKey) return;
+                var target = dropTarget(e);
+                clearDropMarker();
+                if (!target) return;
+                e.preventDefault();
+
+                var columns = self._getDataColumns();
+                var from = columns.indexOf(self._getColumn(dragKey));
+                var to = columns.indexOf(target.col) + (target.after ? 1 : 0);
+                if (from < to) to--;
+                self.moveColumn(dragKey, to);
+            });
+
+            this.headerRow.addEventListener('dragend', function () {
+                clearDropMarker();
+                var th = dragKey && self._headerCells[dragKey];
+                if (th) th.classList.remove(TINY_TABLE_CLASSES.columnDragging);
+                dragKey = null;
             });
+        }
 
+        /**
+         * Synthetic column holding the row drag handles (not sortable, searchable, exported or hideable).
+         */
+        _createRowReorderColumn() {
+            var self = this;
             return {
-                key: 'filters',
-                el: filtersEl,
-                // temporary defaults (you’ll tune later when you do ordering/alignment)
-                order: (typeof this.filters.order === 'number') ? this.filters.order : 2,
-                align: this.filters.align // optional (left|center|right)
+                key: ROW_REORDER_COLUMN_KEY,
+                isSyntheticKey: true,
+                title: '',
+                className: TINY_TABLE_CLASSES.rowReorderCell,
+                sortable: false,
+                searchable: false,
+                export: false,
+                hideable: false,
+                reorderable: false,
+                resizable: false,
+                groupable: false,
+                filter: false,
+                render: function ({ ctx }) {
+                    if (ctx.phase !== 'display' || ctx.isChild) return '';
+                    var locked = self._isRowReorderLocked();
+                    return _dtCreateElement('span', TINY_TABLE_CLASSES.rowReorderHandle, {
+                        class: locked ? TINY_TABLE_CLASSES.rowReorderLocked : null,
+                        draggable: !locked,
+                        'aria-hidden': 'true',
+                        text: '⠿'
+                    });
+                }
             };
         }
 
+        /**
+         * Row order only shows without sort: the handles are disabled while a sort is active.
+         */
+        _isRowReorderLocked() {
+            return !!(this.state.sortOrders && this.state.sortOrders.length);
+        }
 
-        // -----------------------------
-        // Search component
-        // -----------------------------
-        _buildSearchComponent() {
-            // Case A: internal search UI (rendered in controls bar)
-            const hasSearchUI =
-                this.searchConfig &&
-                this.searchConfig.enabled &&
-                this.searchConfig.selector !== '';
+        /**
+         * Native drag & drop of the row handles. Dropping on the upper / lower half of a row of the
+         * page (of the same group when grouping is on) moves the dragged row before / after it.
+         */
+        _initRowReorder() {
+            var self = this;
+            var dragTr = null;
+            var dropTr = null;
 
-            if (hasSearchUI) {
-                const searchEl = _dtCreateElement('div', TINY_TABLE_CLASSES.search);
+            var clearDropMarker = function () {
+                if (!dropTr) return;
+                dropTr.classList.remove(TINY_TABLE_CLASSES.rowDropBefore, TINY_TABLE_CLASSES.rowDropAfter);
+                dropTr = null;
+            };
+            var dropTarget = function (e) {
+                var tr = e.target && e.target.closest ? e.target.closest('tr') : null;
+                if (!tr || !dragTr || tr === dragTr || tr.parentNode !== self.tbody || !tr.dataset.rowKey) return null;
+                if (tr.classList.contains(TINY_TABLE_CLASSES.childRow)) return null;
+                if (tr.dataset.groupKey !== dragTr.dataset.groupKey) return null;
+                var rect = tr.getBoundingClientRect();
+                return { tr: tr, after: e.clientY > rect.top + rect.height / 2 };
+            };
 
-                const hasLabel = !isBlank(this.searchConfig?.label);
+            this.tbody.addEventListener('dragstart', function (e) {
+                var handle = e.target && e.target.closest ? e.target.closest('.' + TINY_TABLE_CLASSES.rowReorderHandle) : null;
+                if (!handle || self._isRowReorderLocked()) return;
+                dragTr = handle.closest('tr');
+                dragTr.classList.add(TINY_TABLE_CLASSES.rowDragging);
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    try {
+                        e.dataTransfer.setData('text/plain', dragTr.dataset.rowKey);
+                        e.dataTransfer.setDragImage(dragTr, 0, 0);
+                    } catch (err) { /* noop */ }
+                }
+            });
+
+            this.tbody.addEventListener('dragover', function (e) {
+                if (!dragTr) return;
+                var target = dropTarget(e);
+                if (target?.tr !== dropTr) clearDropMarker();
+                if (!target) return;
+
+                e.preventDefault();
+                if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+                dropTr = target.tr;
+                dropTr.classList.toggle(TINY_TABLE_CLASSES.rowDropBefore, !target.after);
+                dropTr.classList.toggle(TINY_TABLE_CLASSES.rowDropAfter, target.after);
+            });
+
+            this.tbody.addEventListener('dragleave', function (e) {
+                if (dropTr && !dropTr.contains(e.relatedTarget)) clearDropMarker();
+            });
+
+            this.tbody.addEventListener('drop', function (e) {
+                if (!dragTr) return;
+                var target = dropTarget(e);
+                clearDropMarker();
+                if (!target) return;
+                e.preventDefault();
+
+                var order = self._getRowOrder();
+                var from = order.rows.indexOf(self._rowDataByKey[dragTr.dataset.rowKey]);
+                var to = order.rows.indexOf(self._rowDataByKey[target.tr.dataset.rowKey]);
+                if (from === -1 || to === -1) return;
+                to += target.after ? 1 : 0;
+                if (from < to) to--;
+                self.moveRow(dragTr.dataset.rowKey, order.offset + to);
+            });
+
+            this.tbody.addEventListener('dragend', function () {
+                clearDropMarker();
+                if (dragTr) dragTr.classList.remove(TINY_TABLE_CLASSES.rowDragging);
+                dragTr = null;
+            });
+        }
+
+        /**
+         * Rows in data order: the whole LocalDataSource list, or the page rows of an Ajax
+         * source (positions are then offset by the rows of the previous pages).
+         * @returns {{rows:Array<Object>, offset:number, local:boolean}}
+         */
+        _getRowOrder() {
+            if (this.dataSource instanceof LocalDataSource) {
+                return { rows: this.dataSource.original, offset: 0, local: true };
+            }
+            var offset = this.state.pagingEnabled ? (this.state.page - 1) * this.state.pageSize : 0;
+            return { rows: Array.isArray(this._lastPageRows) ? this._lastPageRows : [], offset: offset, local: false };
+        }
+
+        /**
+         * Move a row to a new position of the data order and re-draw. Local data: position in the
+         * whole dataset; Ajax: position in the dataset, within the current page.
+         * @param {string} rowKey
+         * @param {number} toIndex
+         */
+        moveRow(rowKey, toIndex) {
+            var self = this;
+            var order = this._getRowOrder();
+            var rows = order.rows;
+            var from = -1;
+            rows.some(function (row, i) {
+                if (self._getRowKey(row, i, 'parent') !== String(rowKey)) return false;
+                from = i;
+                return true;
+            });
+            if (from === -1) return;
 
-                // Use table.id to match your desired output: "table-ajax-search"
-                const tableId = this.table && this.table.id ? this.table.id : '';
-                const inputId = tableId ? (tableId + '-search') : null;
+            var to = Math.max(0, Math.min(rows.length - 1, Math.floor(Number(toIndex) || 0) - order.offset));
+            if (from === to) return;
 
-                if (hasLabel) {
-                    const labelAttrs = { text: this.searchConfig.label };
-                    if (inputId) labelAttrs.for = inputId;
+            if (!order.local) rows = this._lastPageRows = rows.slice();
+            var row = rows.splice(from, 1)[0];
+            rows.splice(to, 0, row);
 
-                    const labelEl = _dtCreateElement(
-                        'label',
-                        TINY_TABLE_CLASSES.searchLabel,
-                        labelAttrs
-                    );
-                    searchEl.appendChild(labelEl);
-                }
+            this._emit('rowReorder', {
+                rowKey: String(rowKey),
+                fromIndex: order.offset + from,
+                toIndex: order.offset + to,
+                newOrder: rows.map(function (r, i) { return self._getRowKey(r, i, 'parent'); })
+            });
 
-                const inputEl = _dtCreateElement('input', TINY_TABLE_CLASSES.searchInput, { type : 'search', placeholder : this.searchConfig.placeholder || '', value : this.state.searchText || ''});
+            // Ajax: the server persists the order, the page is re-rendered as is
+            if (order.local) return this.draw();
+            this.invalidateCache();
+            this._rerenderBodyOnly();
+        }
 
-                if (hasLabel && inputId) inputEl.id = inputId;
+        _isColumnResizable(col) {
+            if (!col || !col.key) return false;
+            return col.resizable !== undefined ? !!col.resizable : this.resizable.enabled;
+        }
 
-                this._bindSearchInput(inputEl);
+        _clampColumnWidth(col, px) {
+            var min = _dtToPx(col.minWidth);
+            var max = _dtToPx(col.maxWidth);
+            if (min == null) min = this.resizable.minWidth;
+            if (max == null) max = this.resizable.maxWidth;
+            if (max != null) px = Math.min(px, max);
+            return Math.round(Math.max(px, min || 0));
+        }
 
-                searchEl.appendChild(inputEl);
+        /**
+         * (Re)build the <colgroup> (one <col> per visible column, selection column first) and
+         * mirror the widths on the header cells. Once every visible column has a pixel width the
+         * table switches to a fixed layout so the widths are honoured exactly.
+         */
+        _renderColgroup() {
+            if (!this._internals.columnResize) return;
+            var self = this;
 
-                return {
-                    key: 'search',
-                    el: searchEl,
-                    order: (typeof this.searchConfig.order === 'number') ? this.searchConfig.order : 1,
-                    align: this.searchConfig.align
-                };
+            if (!this.colgroup) {
+                this.colgroup = _dtCreateElement('colgroup');
+                this.table.insertBefore(this.colgroup, this.thead);
             }
 
-            // Case B: external search selector (no component in controls bar, just bind)
-            if (this.searchConfig && this.searchConfig.selector) {
-                const inputEl = document.querySelector(this.searchConfig.selector);
-                if (!inputEl) {
-                    console.warn('TinyDataTable: search.selector input not found:', this.searchConfig.selector);
+            var cols = [];
+            var total = 0;
+            var allPx = true;
+
+            if (this._headerSelectCell) {
+                // The selection column keeps its first rendered width
+                var selCol = _dtCreateElement('col');
+                var selWidth = this._internals.selectColumnWidth || this._headerSelectCell.offsetWidth;
+                if (selWidth) {
+                    this._internals.selectColumnWidth = selWidth;
+                    selCol.style.width = selWidth + 'px';
+                    total += selWidth;
                 } else {
-                    this._bindSearchInput(inputEl);
+                    allPx = false;
                 }
+                cols.push(selCol);
             }
 
-            return null;
-        }
-
-        // -----------------------------
-        // Buttons component
-        // -----------------------------
-        _buildButtonsComponent() {
-            const self = this;
-            // Recommended: allow buttons to be either array OR { items, order, align }
-            const raw = this.options.buttons;
-
-            const defs = Array.isArray(raw)
-                ? raw
-                : (raw && typeof raw === 'object' && Array.isArray(raw.items))
-                    ? raw.items
-                    : [];
-
-            if (!defs.length) return null;
-
-            // Refactor your existing _renderControlButtons logic into a builder that RETURNS the element.
-            // Here is the expected pattern:
+            this.columns.forEach(function (col) {
+                if (col.visible === false) return;
+                var colEl = _dtCreateElement('col', { 'data-key': col.key });
+                var px = _dtToPx(col.width);
+                if (px != null) {
+                    colEl.style.width = px + 'px';
+                    total += px;
+                    var th = self._headerCells[col.key];
+                    if (th) th.style.width = px + 'px';
+                } else {
+                    allPx = false;
+                    if (col.width) colEl.style.width = String(col.width);
+                }
+                cols.push(colEl);
+            });
 
-            const actionsEl = _dtCreateElement('div', TINY_TABLE_CLASSES.controlsActions);
+            this.colgroup.replaceChildren(...cols);
 
-            defs.forEach((def, i) => {
-                if (!def) return;
+            var fixed = allPx && total > 0;
+            this.table.classList.toggle(TINY_TABLE_CLASSES.fixedLayout, fixed);
+            this.table.style.width = fixed ? total + 'px' : '';
+        }
 
-                // Divider
-                if (def.divider) {
-                    actionsEl.appendChild(_dtCreateElement('span', 'tt-btn-divider'));
-                    return;
-                }
+        /**
+         * Freeze the rendered width of every visible column (before the first resize), so moving
+         * one handle does not redistribute the others.
+         */
+        _lockColumnWidths() {
+            var self = this;
+            this.columns.forEach(function (col) {
+                if (col.visible === false || _dtToPx(col.width) != null) return;
+                var th = self._headerCells[col.key];
+                if (th && th.offsetWidth) col.width = th.offsetWidth + 'px';
+            });
+            this._renderColgroup();
+        }
 
-                // Allow raw Node insertion
-                if (def instanceof Node) {
-                    actionsEl.appendChild(def);
-                    return;
-                }
+        /**
+         * Width needed to show the widest rendered cell of a column without wrapping
+         * (header cell and body cells of the current page).
+         */
+        _measureColumnContent(key) {
+            var th = this._headerCells[key];
+            if (!th || !th.parentNode || typeof document.createRange !== 'function') return null;
+
+            var index = th.cellIndex;
+            var cellCount = this.headerRow.cells.length;
+            var range = document.createRange();
+            var widest = 0;
+
+            var measure = function (cell) {
+                var handle = cell.querySelector('.' + TINY_TABLE_CLASSES.resizeHandle);
+                range.selectNodeContents(cell);
+                if (handle) range.setEndBefore(handle);
+                var style = window.getComputedStyle(cell);
+                var padding = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0) +
+                    (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.borderRightWidth) || 0);
+                widest = Math.max(widest, Math.ceil(range.getBoundingClientRect().width + padding));
+            };
 
-                // Allow HTML-only
-                if (def.html && typeof def.html === 'string') {
-                    const wrap = _dtCreateElement('span', 'tt-btn-html', { html : def.html});
-                    actionsEl.appendChild(wrap);
-                    return;
-                }
+            measure(th);
+            // Only rows laid out like the header (child rows, group headers and merged rows are skipped)
+            Array.prototype.forEach.call(this.tbody.rows, function (tr) {
+                if (tr.cells.length === cellCount) measure(tr.cells[index]);
+            });
 
-                const btn = _dtCreateElement('button', undefined, { type: 'button' });
+            return widest || null;
+        }
 
-                if (def.id) btn.id = def.id;
-                if (def.name) btn.name = def.name;
-                if (def.title) btn.title = String(def.title);
-                if (def.className) _dtAddClass(btn, def.className);
+        /**
+         * Resize the column to fit its rendered content (double-click on the resize handle).
+         * @param {string} key Column key
+         */
+        autofitColumn(key) {
+            var width = this._measureColumnContent(key);
+            if (width == null) return;
+            this._lockColumnWidths();
+            this.setColumnWidth(key, width);
+        }
 
-                // Disabled: bool or function
-                const disabled = (typeof def.disabled === 'function') ? !!def.disabled(this.api()) : !!def.disabled;
-                if (disabled) btn.disabled = true;
+        /**
+         * Pointer-driven resizing from the handles in the header cells.
+         */
+        _initColumnResize() {
+            var self = this;
+            this._internals.columnResize = true;
+            this._renderColgroup();
+
+            _addEventListener(this.headerRow, 'pointerdown', '.' + TINY_TABLE_CLASSES.resizeHandle, function (e, handle) {
+                if (e.button !== 0) return;
+                var th = handle.closest('th');
+                var col = th && self._getColumn(th.dataset.key);
+                if (!col) return;
+
+                e.preventDefault();
+                e.stopPropagation();
+                self._lockColumnWidths();
+
+                var startX = e.clientX;
+                var startWidth = _dtToPx(col.width) || th.offsetWidth;
+                var oldWidth = _dtToPx(col.width);
+                var colEl = self.colgroup.querySelector('col[data-key="' + col.key + '"]');
+
+                self._internals.resizing = true;
+                self.table.classList.add(TINY_TABLE_CLASSES.resizing);
+
+                var onMove = function (ev) {
+                    var px = self._clampColumnWidth(col, startWidth + ev.clientX - startX);
+                    col.width = px + 'px';
+                    if (colEl) colEl.style.width = col.width;
+                    th.style.width = col.width;
+                    self._renderColgroup();
+                    self._applyFixedLayout();
+                };
+                var onUp = function () {
+                    document.removeEventListener('pointermove', onMove);
+                    document.removeEventListener('pointerup', onUp);
+                    self._internals.resizing = false;
+                    self.table.classList.remove(TINY_TABLE_CLASSES.resizing);
+
+                    // A drag ending over the header cell fires a click on it: not a sort
+                    self._internals.justResized = true;
+                    setTimeout(function () { self._internals.justResized = false; }, 0);
+
+                    var width = _dtToPx(col.width);
+                    if (width === oldWidth) return;
+                    self._emit('columnResize', {
+                        key: col.key,
+                        width: width,
+                        oldWidth: oldWidth,
+                        widths: self.getColumnWidths()
+                    });
+                    if (self.stateSave.enabled) self._saveState();
+                };
 
-                const icon = typeof def.icon === 'string' ? def.icon.trim() : '';
-                const html = typeof def.html === 'string' ? def.html.trim() : '';
-                const text = typeof def.text === 'string' ? escapeHtml(def.text.trim()) : '';
-                const tooltip = typeof def.tooltip === 'string' ? def.tooltip.trim() : '';
-                const isBtnIcon = icon && !html && !text;
+                document.addEventListener('pointermove', onMove);
+                document.addEventListener('pointerup', onUp);
+            });
 
-                btn.classList.add(isBtnIcon ? 'tt-btn-icon' : 'tt-btn');
-                // icon-only case → HTML + special class
-                if (isBtnIcon) {
-                    btn.innerHTML = icon;
-                }  else if (html) {
-                    btn.innerHTML = [icon, html].filter(Boolean).join(' ');
-                } else {  // text content (safe)
-                    btn.textContent = [icon, text].filter(Boolean).join(' ');
-                }
+            _addEventListener(this.headerRow, 'dblclick', '.' + TINY_TABLE_CLASSES.resizeHandle, function (e, handle) {
+                e.preventDefault();
+                var th = handle.closest('th');
+                if (th && th.dataset.key) self.autofitColumn(th.dataset.key);
+            });
+        }
 
-                if (tooltip) {
-                    btn.setAttribute('data-tooltip', tooltip);   // for custom tooltip styling
-                }
-                // Click behavior
-                const type = def.type ? String(def.type).toLowerCase() : '';
+        /**
+         * Compute the sticky offsets: `top` of each header row, `bottom` of each footer row and
+         * `left` / `right` of the frozen columns (from the rendered header cell widths). Body cells
+         * are located by grid position so rowspan-merged group cells are pinned correctly.
+         */
+        _applyFixedLayout() {
+            if (!this._internals.fixedLayout || !this.headerRow) return;
+            var self = this;
 
-                if (type === 'export') {
-                    if (Array.isArray(def.format) && def.format.length) {
-                        // Create unique menu ID (to avoid conflicts if multiple export buttons)
-                        const id = Math.random().toString(36).slice(2);
-                        const menuId = `exportMenu_${id}`;
+            if (this.fixedHeader) {
+                var top = 0;
+                Array.prototype.forEach.call(this.thead.rows, function (tr) {
+                    Array.prototype.forEach.call(tr.cells, function (th) { th.style.top = top + 'px'; });
+                    top += tr.offsetHeight;
+                });
+            }
 
-                        // Assign id to btn if missing (to use as triggerSelector)
-                        if (!btn.id) btn.id = `exportButton_${id}`;
-                        btn.classList.add('tt-dropdown-button');
+            if (this.fixedFooter && this.tfoot) {
+                var bottom = 0;
+                Array.prototype.slice.call(this.tfoot.rows).reverse().forEach(function (tr) {
+                    Array.prototype.forEach.call(tr.cells, function (th) { th.style.bottom = bottom + 'px'; });
+                    bottom += tr.offsetHeight;
+                });
+            }
 
-                        // Create the popup menu <ul>
-                        const menu = _dtCreateElement('ul','tt-dropdown',{id : menuId});
+            if (!this.fixedColumns.left && !this.fixedColumns.right) return;
 
-                        // Create <li> for each format in def.format array
-                        def.format.forEach(fmt => {
-                            const defaultLabel = `Export as ${fmt.toUpperCase()}`;
-                            // Use label function from def, or from default config, or fallback to generic
-                            const labelFn =
-                                (def && typeof def.label === 'function' && def.label) ||
-                                TinyDataTable.defaults?.texts?.exportButton?.label ||
-                                (f => defaultLabel);
-                            let label = labelFn(fmt);
-                            // Defensive: ensure label is a non-empty string
-                            label = typeof label === 'string' && label.trim() ? label : defaultLabel;
-                            menu.appendChild(_dtCreateElement('li','item',{ 'data-format' : fmt, text: label}));
-                        });
+            // Grid columns pinned at each side (the selection and row handle columns lead the left ones)
+            var headerCells = this.headerRow.cells;
+            var count = headerCells.length;
+            var leadCount = (this._headerSelectCell ? 1 : 0) + (this.rowReorder.enabled ? 1 : 0);
+            var left = this.fixedColumns.left ? Math.min(count, this.fixedColumns.left + leadCount) : 0;
+            var right = Math.min(count - left, this.fixedColumns.right);
 
-                        // Append menu to DOM, for example right after actionsEl or body
-                        actionsEl.appendChild(menu);
+            var offsets = [];
+            var sum = 0;
+            for (var i = 0; i < left; i++) {
+                offsets[i] = { side: 'left', value: sum, edge: i === left - 1 };
+                sum += headerCells[i].offsetWidth;
+            }
+            sum = 0;
+            for (var j = count - 1; j >= count - right; j--) {
+                offsets[j] = { side: 'right', value: sum, edge: j === count - right };
+                sum += headerCells[j].offsetWidth;
+            }
 
-                        // Instantiate Popup class with the created menu
-                        new Popup(menu, {
-                            triggerSelector: btn, // We'll assign id to btn if missing below
-                            onClick: (e, dataset) => {
-                                self.exportTo(dataset.format || 'xlsx', def.sheetname, def.filename);
-                            }
-                        });
-                    }
-                    else {
-                        def.onClick = (api,ev,def) => {
-                            self.exportTo(def.format || 'xlsx', def.sheetname, def.filename);
-                        }
+            var pin = function (cell, col, colSpan) {
+                var pos = colSpan === 1 ? offsets[col] : null;
+                if (!pos) {
+                    if (cell.classList.contains(TINY_TABLE_CLASSES.fixedCell)) {
+                        cell.classList.remove(TINY_TABLE_CLASSES.fixedCell, TINY_TABLE_CLASSES.fixedLeftLast, TINY_TABLE_CLASSES.fixedRightFirst);
+                        cell.style.left = '';
+                        cell.style.right = '';
                     }
+                    return;
                 }
-                if (type === 'refresh') {
-                    def.onClick = api => api.refresh();
-                }
-
-                if (typeof def.onClick === 'function') {
-                    btn.addEventListener('click', ev => def.onClick(self.api(), ev, def));
-                }
+                cell.classList.add(TINY_TABLE_CLASSES.fixedCell);
+                cell.classList.toggle(TINY_TABLE_CLASSES.fixedLeftLast, pos.side === 'left' && pos.edge);
+                cell.classList.toggle(TINY_TABLE_CLASSES.fixedRightFirst, pos.side === 'right' && pos.edge);
+                cell.style.left = pos.side === 'left' ? pos.value + 'px' : '';
+                cell.style.right = pos.side === 'right' ? pos.value + 'px' : '';
+            };
 
-                actionsEl.appendChild(btn);
+            [this.thead, this.tbody, this.tfoot].forEach(function (section) {
+                if (section) _dtForEachGridCell(section.rows, pin);
             });
+        }
 
-            if (!actionsEl) return null;
-
-            // Keep reference like before (if you used it)
-            this.controlsActions = actionsEl;
+        /**
+         * Pivot mode: replace the columns by the generated ones and rebuild header and footer when
+         * they changed. Visibility and widths are kept for the keys that remain.
+         * @param {Array<Object>} pivotColumns
+         */
+        _setPivotColumns(pivotColumns) {
+            var signature = function (cols) { return cols.map(function (c) { return c.key + '\u0000' + c.title; }).join('\u0001'); };
+            if (this.pivot.sourceColumns && signature(pivotColumns) === signature(this.columns)) return;
+
+            if (!this.pivot.sourceColumns) this.pivot.sourceColumns = this.columns;
+
+            var previous = Object.create(null);
+            this.columns.forEach(function (col) { previous[col.key] = col; });
+            pivotColumns.forEach(function (col) {
+                var prev = previous[col.key];
+                if (prev && prev.visible === false) col.visible = false;
+                if (prev && prev.width != null && col.width == null) col.width = prev.width;
+            });
 
-            // Layout metadata (optional)
-            const order = (!Array.isArray(raw) && raw && typeof raw.order === 'number') ? raw.order : 3;
-            const align = (!Array.isArray(raw) && raw && raw.align) ? raw.align : undefined;
+            this.columns = pivotColumns;
+            this._headerCells = Object.create(null);
+            this._filterCells = Object.create(null);
+            this._refreshColumnCaches();
+            this._renderHeaderRow();
+            this._renderFooterRow();
+            this._initTooltipsInScope(this.thead);
+        }
 
-            return {
-                key: 'buttons',
-                el: actionsEl,
-                order: order,
-                align: align
-            };
+        /**
+         * Apply a change of the column layout (visibility, order, ...):
+         * rebuild header and footer rows, then redraw the body.
+         */
+        _applyColumnLayout() {
+            this._refreshColumnCaches();
+            this._renderHeaderRow();
+            this._renderFooterRow();
+            this._initTooltipsInScope(this.thead);
+            return this.draw();
         }
 
         _initStructure() {
@@ -2645,6 +6556,13 @@
                 existingHeaderCells = Array.prototype.filter.call(headerRow.children, el=> el.tagName?.toLowerCase() === 'th');
             }
 
+            this.headerRow = headerRow;
+            this._headerCells = Object.create(null);
+
+            // Optional filter row (cells are built lazily by _renderHeaderRow)
+            this.filterHeaderRow = this.filterRow.enabled ? _dtCreateElement('tr', TINY_TABLE_CLASSES.filterRow) : null;
+            this._filterCells = Object.create(null);
+
             // Optional selection header cell
             if (this.select.enabled) {
                 var selTh = _dtCreateElement('th', TINY_TABLE_CLASSES.selectHeaderCell);
@@ -2652,7 +6570,7 @@
                 var cb = _dtCreateElement('input', {type:'checkbox', 'data-tt-select-all': 1});
                 //cb.dataset.ttSelectAll = '1';
                 selTh.appendChild(cb);
-                headerRow.appendChild(selTh);
+                this._headerSelectCell = selTh;
                 this._headerSelectCheckbox = cb;
             }
 
@@ -2689,59 +6607,21 @@
             }
             this.columns = mergedColumns;
 
-            function _applyColumnStylePropsToEl(col, el, props) {
-                props.forEach((p) => {
-                    const v = col[p];
-                    if (v == null || v === '') return;
-                    // allow both camelCase and kebab-case in the whitelist
-                    const jsProp = p.includes('-') ? p.replace(/-([a-z])/g, (_, c) => c.toUpperCase()) : p;
-                    try {
-                        el.style[jsProp] = String(v);
-                    } catch (e) {
-                        // ignore invalid style assignment
-                    }
-                });
-            }
-
-            function initHeaderCell(col, index) {
-                if (col.visible === false) return;
-                self.normalizeColumn(col, 'col', index);
-
-                const existingTh = existingHeaderCells[index];
-                const th = existingTh || _dtCreateElement('th');
-
-                const hasDomTitle = !!(existingTh && (th.innerHTML.trim() || th.textContent.trim()));
-                if (hasDomTitle) {
-                    col.title = th.textContent.trim();
-                } else if (col.title) {
-                    th.textContent = col.title;
-                } else if (col.html) {
-                    th.innerHTML = col.html;
-                }
-
-                if (col.key) th.dataset.key = col.key;
-
-                if (!isBlank(col.className)) {
-                    var colClasses = tokenize_str(col.className);
-                    _dtAddClass(th, colClasses);
-                    col.className = colClasses;
-                }
-
-                if (col.sortable !== false) th.style.cursor = 'pointer';
-
-                if (col.headerTooltip) th.setAttribute('data-tooltip', String(col.headerTooltip));
-
-                // Apply column style props to the TH (no mutation of col)
-                _applyColumnStylePropsToEl(col, th, COL_STYLE_PROPS);
-
-                if (!existingTh) headerRow.appendChild(th);
+            // Build a header cell for every column (hidden ones too, so they can be shown later)
+            this.columns.forEach(function (col, index) {
+                self._buildHeaderCell(col, index, existingHeaderCells[index] || null);
+            });
 
-                return th;
+            // Row reordering: drag handle column in front of the data columns
+            if (this.rowReorder.enabled) {
+                var handleCol = this._createRowReorderColumn();
+                this.columns.unshift(handleCol);
+                this._buildHeaderCell(handleCol, 0, null);
             }
-
-            this.columns.forEach(initHeaderCell);
+            this._renderHeaderRow();
 
             thead.appendChild(headerRow);
+            if (this.filterHeaderRow) thead.appendChild(this.filterHeaderRow);
             this.table.appendChild(thead);
 
             var tbody = _dtCreateElement('tbody');
@@ -2753,22 +6633,12 @@
             this.table.appendChild(tfoot);
 
             if (this.footer.enabled) {
-                const footerRow = _dtCreateElement('tr');
-                this.footerRow = footerRow;
-
-                // Selection column footer cell (empty)
-                if (this.select.enabled) {
-                    var selFoot = _dtCreateElement('th');
-                    footerRow.appendChild(selFoot);
-                }
-
-                this.columns.forEach(function (col) {
-                    if (col.visible === false) return;
-                    var th = _dtCreateElement('th');
-                    th.dataset.key = col.key;
-                    footerRow.appendChild(th);
+                this.footerRows = this.footer.rows.map(function (def) {
+                    return _dtCreateElement('tr', def.className || null);
                 });
-                this.tfoot.appendChild(footerRow);
+                this.footerRow = this.footerRows[0];
+                this._renderFooterRow();
+                this.tfoot.append(...this.footerRows);
                 this.tfoot.style.display = '';
             } else {
                 this.tfoot.style.display = 'none';
@@ -2960,10 +6830,78 @@
                 );
             }
 
+            // Polite live region announcing draw results (visually hidden, after the table)
+            if (this.liveRegionEnabled) {
+                this.liveRegion = _dtCreateElement('div', TINY_TABLE_CLASSES.liveRegion, { role: 'status', 'aria-live': 'polite', 'aria-atomic': 'true' });
+                var liveAnchor = this.wrapper || this.table;
+                if (liveAnchor.parentNode) liveAnchor.parentNode.insertBefore(this.liveRegion, liveAnchor.nextSibling);
+            }
+
+            // Keyboard navigation: grid semantics + roving tabindex
+            if (this.keyboard.enabled) {
+                this.table.setAttribute('role', 'grid');
+                if (this.select.enabled) this.table.setAttribute('aria-multiselectable', 'true');
+
+                this.table.addEventListener('keydown', function (e) {
+                    self._onGridKeydown(e);
+                });
+                // Clicking / focusing a cell makes it the tab stop
+                this.table.addEventListener('focusin', function (e) {
+                    if (self._isNavCell(e.target)) self._setActiveCell(e.target, false);
+                });
+                this.table.addEventListener('click', function (e) {
+                    var cell = e.target && e.target.closest ? e.target.closest('td, th') : null;
+                    if (cell && self._isNavCell(cell)) self._setActiveCell(cell, false);
+                });
+                this._syncRovingTabindex();
+            }
+
+            // Column reordering: drag a header cell onto another one
+            if (this.colReorder.enabled) {
+                this._initColumnReorder();
+            }
+
+            // Grouping panel: drop header cells on it to group by their column
+            if (this.groupingPanel) {
+                this._initGroupingPanel();
+            }
+
+            // Row reordering: drag the handle of a row onto another row of the page (same group)
+            if (this.rowReorder.enabled) {
+                this._initRowReorder();
+            }
+
+            // Column resizing: drag or double-click the handle at the right edge of header cells
+            if (this.columns.some(function (col) { return self._isColumnResizable(col); })) {
+                this._initColumnResize();
+            }
+
+            // Sticky header / footer / columns (offsets are recomputed after each render and on resize)
+            if (this.fixedHeader || this.fixedFooter || this.fixedColumns.left || this.fixedColumns.right) {
+                this._internals.fixedLayout = true;
+                if (this.fixedHeader) this.table.classList.add(TINY_TABLE_CLASSES.fixedHeader);
+                if (this.fixedFooter) this.table.classList.add(TINY_TABLE_CLASSES.fixedFooter);
+                if (this.fixedColumns.left || this.fixedColumns.right) this.table.classList.add(TINY_TABLE_CLASSES.fixedColumns);
+
+                if (typeof window !== 'undefined' && !this._internals.fixedLayoutResizeHandler) {
+                    // One handler per table, dropped once the table has left the document
+                    var onResize = this._internals.fixedLayoutResizeHandler = debounce(function () {
+                        if (!self.table.isConnected) {
+                            window.removeEventListener('resize', onResize);
+                            self._internals.fixedLayoutResizeHandler = null;
+                            return;
+                        }
+                        self._applyFixedLayout();
+                    }, 100);
+                    window.addEventListener('resize', onResize);
+                }
+            }
+
             // Header sort click (delegated)
             _addEventListener(this.thead, 'click', 'th', function (e, th) {
-                // Ignore clicks on header select-all checkbox
+                // Ignore clicks on header select-all checkbox, on resize handles and right after a resize
                 if (th.querySelector('input[type="checkbox"][data-tt-select-all="1"]')) return;
+                if (e.target.closest('.' + TINY_TABLE_CLASSES.resizeHandle) || self._internals.justResized) return;
 
                 const key = th.dataset.key;
                 if (!key) return;
@@ -2982,6 +6920,14 @@
                 self._handleHeaderSelectAll(target.checked);
             });
 
+            // Group header click: collapse / expand the group
+            if (this.grouping.collapsible) {
+                _addEventListener(this.tbody, 'click', 'tr.' + TINY_TABLE_CLASSES.groupHeaderRow, function (e, tr) {
+                    if (e.target.closest('a, button, input, select, textarea')) return;
+                    if (tr.dataset.groupKey) self.toggleGroup(tr.dataset.groupKey);
+                });
+            }
+
             // Body click: toggle icon and optional row toggle
             if (this.childRows.enabled) {
                 _addEventListener(this.tbody, 'click', 'tr.' + TINY_TABLE_CLASSES.rowHasChildren, function (e, tr) {
@@ -3005,6 +6951,28 @@
                 });
             }
 
+            // Inline editing: double-click or Enter/F2 on an editable cell
+            if (this.columns.some(function (c) { return !!c.editable; })) {
+                var editableSelector = 'td.' + TINY_TABLE_CLASSES.editableCell;
+                _addEventListener(this.tbody, 'dblclick', editableSelector, function (e, td) {
+                    self._startCellEdit(td);
+                });
+                _addEventListener(this.tbody, 'keydown', editableSelector, function (e, td) {
+                    if (e.target !== td) return; // keys typed inside the editor
+                    if (e.key === 'Enter' || e.key === 'F2') {
+                        e.preventDefault();
+                        self._startCellEdit(td);
+                    }
+                });
+            }
+
+            // Virtual scrolling: re-window the body when the wrapper scrolls
+            if (this.virtualScroll.enabled && this.wrapper) {
+                this.wrapper.addEventListener('scroll', function () {
+                    self._onVirtualScroll();
+                }, { passive: true });
+            }
+
             // Initialize tooltips for static UI
             this._initTooltipsInScope(this.thead);
 
@@ -3069,18 +7037,39 @@
             var self = this;
             var frag = document.createDocumentFragment();
 
-            var groups = this._buildGroups(rows);
+            var groups = this.grouping.levels ? this._buildGroupTree(rows) : this._buildGroups(rows);
             var mergeColsSet = new Set(this.grouping.mergeColumns || []);
             var pageRowCounter = 0;
 
-            groups.forEach(function (group, groupIndex) {
+            // `hidden`: an enclosing group is collapsed. Its rows stay part of the page (selection) but nothing is rendered.
+            function renderGroup(group, groupIndex, hidden) {
+                var levelConfig = self._getGroupLevelConfig(group.level);
+                var collapsed = self._isGroupCollapsed(group.key);
+                if (levelConfig.aggregates) {
+                    group.aggregateValues = self._getGroupAggregateValues(group, levelConfig.aggregates);
+                }
+
                 // Group header
-                if (self.grouping.header && self.grouping.header.show) {
+                if (levelConfig.showHeader && !hidden) {
                     frag.appendChild(
                         self._renderGroupHeaderRow(group, groupIndex, visibleColCount)
                     );
                 }
 
+                if (group.children) {
+                    group.children.forEach(function (child, childIndex) {
+                        renderGroup(child, childIndex, hidden || collapsed);
+                    });
+                } else {
+                    renderGroupRows(group, hidden || collapsed);
+                }
+
+                if (levelConfig.aggregates && self.grouping.aggregatesPosition === 'footer' && !hidden && !collapsed) {
+                    frag.appendChild(self._renderGroupFooterRow(group, groupIndex));
+                }
+            }
+
+            function renderGroupRows(group, collapsed) {
                 group.rows.forEach(function (row, rowIndexInGroup) {
                     var rowKey = self._getRowKey(row, pageRowCounter, 'parent');
                     var hasChildren = self._hasChildRows(row);
@@ -3094,6 +7083,12 @@
                     self._pageGroupRowKeyMap[group.key].push(rowKey);
                     self._pageParentRowKeys.push(rowKey);
 
+                    // Collapsed group: rows stay part of the page (selection) but are not rendered
+                    if (collapsed) {
+                        pageRowCounter++;
+                        return;
+                    }
+
                     var parentTr = self._renderDataRow(
                         row,
                         pageRowCounter,
@@ -3117,6 +7112,7 @@
                         if (autoExpand && !self._expandedRowKeys.has(rowKey)) {
                             self._expandedRowKeys.add(rowKey);
                         }
+                        parentTr.setAttribute('aria-expanded', String(self._expandedRowKeys.has(rowKey)));
                     }
 
                     frag.appendChild(parentTr);
@@ -3153,6 +7149,10 @@
                         });
                     }
                 });
+            }
+
+            groups.forEach(function (group, groupIndex) {
+                renderGroup(group, groupIndex, false);
             });
 
             return frag;
@@ -3169,74 +7169,266 @@
             var frag = document.createDocumentFragment();
 
             rows.forEach(function (row, rowIndexOnPage) {
-                var rowKey = self._getRowKey(row, rowIndexOnPage, 'parent');
-                var hasChildren = self._hasChildRows(row);
-                var parentColumns = self._internals.visibleColumns || self.columns;
-                var childColumns = self._getChildColumnsForParent(row);
-                var isExpanded = self._expandedRowKeys.has(rowKey);
+                self._appendFlatRow(frag, row, rowIndexOnPage, autoExpand);
+            });
 
-                self._pageParentRowKeys.push(rowKey);
+            return frag;
+        }
 
-                var parentTr = self._renderDataRow(
-                    row,
-                    rowIndexOnPage,
-                    rowKey,
-                    false,
-                    parentColumns,
-                    {
-                        hasChildren: hasChildren,
-                        isExpanded: autoExpand || isExpanded,
-                        mergeColumnsSet: null,
-                        groupSize: 1,
-                        rowIndexInGroup: 0,
-                        groupKey: null
-                    }
-                );
+        /**
+         * Append a parent row and its expanded child rows to `parent`.
+         */
+        _appendFlatRow(parent, row, rowIndexOnPage, autoExpand) {
+            var self = this;
+            var rowKey = this._getRowKey(row, rowIndexOnPage, 'parent');
+            var hasChildren = this._hasChildRows(row);
+            var childColumns = this._getChildColumnsForParent(row);
 
-                if (hasChildren) {
-                    parentTr.classList.add(TINY_TABLE_CLASSES.rowHasChildren);
-                    if (autoExpand && !self._expandedRowKeys.has(rowKey)) {
-                        self._expandedRowKeys.add(rowKey);
-                    }
-                }
+            this._pageParentRowKeys.push(rowKey);
 
-                frag.appendChild(parentTr);
+            parent.appendChild(this._renderFlatParentRow(row, rowIndexOnPage, rowKey, autoExpand));
 
-                var children = hasChildren ? self._getChildrenForRow(row) : null;
-                var expanded = self._expandedRowKeys.has(rowKey);
+            var children = hasChildren ? this._getChildrenForRow(row) : null;
+            var expanded = this._expandedRowKeys.has(rowKey);
 
-                if (children && children.length && expanded) {
-                    children.forEach(function (childRow, childIndex) {
-                        var childKey = self._getRowKey(
-                            childRow,
-                            childIndex,
-                            'child-of-' + rowKey
-                        );
-                        var childTr = self._renderDataRow(
-                            childRow,
-                            childIndex,
-                            childKey,
-                            true,
-                            childColumns,
-                            {
-                                hasChildren: false,
-                                isExpanded: false,
-                                mergeColumnsSet: null,
-                                groupSize: 1,
-                                rowIndexInGroup: 0,
-                                groupKey: null
-                            }
-                        );
-                        childTr.classList.add(TINY_TABLE_CLASSES.childRow);
-                        childTr.dataset.parentKey = rowKey;
-                        frag.appendChild(childTr);
-                    });
+            if (children && children.length && expanded) {
+                children.forEach(function (childRow, childIndex) {
+                    var childKey = self._getRowKey(
+                        childRow,
+                        childIndex,
+                        'child-of-' + rowKey
+                    );
+                    var childTr = self._renderDataRow(
+                        childRow,
+                        childIndex,
+                        childKey,
+                        true,
+                        childColumns,
+                        {
+                            hasChildren: false,
+                            isExpanded: false,
+                            mergeColumnsSet: null,
+                            groupSize: 1,
+                            rowIndexInGroup: 0,
+                            groupKey: null
+                        }
+                    );
+                    childTr.classList.add(TINY_TABLE_CLASSES.childRow);
+                    childTr.dataset.parentKey = rowKey;
+                    parent.appendChild(childTr);
+                });
+            }
+        }
+
+        /**
+         * Parent row of the flat body (child rows are rendered by the caller).
+         * @returns {HTMLTableRowElement}
+         */
+        _renderFlatParentRow(row, rowIndexOnPage, rowKey, autoExpand) {
+            var hasChildren = this._hasChildRows(row);
+            var parentTr = this._renderDataRow(
+                row,
+                rowIndexOnPage,
+                rowKey,
+                false,
+                this._internals.visibleColumns || this.columns,
+                {
+                    hasChildren: hasChildren,
+                    isExpanded: autoExpand || this._expandedRowKeys.has(rowKey),
+                    mergeColumnsSet: null,
+                    groupSize: 1,
+                    rowIndexInGroup: 0,
+                    groupKey: null
+                }
+            );
+
+            if (row.__dt_pivotTotal) parentTr.classList.add(TINY_TABLE_CLASSES.pivotTotalRow);
+
+            if (hasChildren) {
+                parentTr.classList.add(TINY_TABLE_CLASSES.rowHasChildren);
+                if (autoExpand && !this._expandedRowKeys.has(rowKey)) {
+                    this._expandedRowKeys.add(rowKey);
                 }
+                parentTr.setAttribute('aria-expanded', String(this._expandedRowKeys.has(rowKey)));
+            }
+
+            return parentTr;
+        }
+
+        /**
+         * Whether the body is rendered in windowed (virtual scrolling) mode.
+         * Requires a scroll wrapper with scrollY, no paging, and rows of a single
+         * height (no grouping headers, no child rows).
+         */
+        _isVirtualScrollActive() {
+            return !!(this.virtualScroll && this.virtualScroll.enabled &&
+                this.wrapper &&
+                this.scrollY !== false &&
+                !this.paging.enabled &&
+                !this._hasGrouping() &&
+                !this.childRows.enabled);
+        }
+
+        _renderVirtualSpacer() {
+            var tr = _dtCreateElement('tr', TINY_TABLE_CLASSES.virtualSpacer, { 'aria-hidden': 'true' });
+            var td = _dtCreateElement('td', { colSpan: this._internals.visibleColumnCount || 1 });
+            td.style.height = '0px';
+            tr.appendChild(td);
+            return tr;
+        }
+
+        /**
+         * Render rows in virtual scrolling mode: two spacer rows keep the full
+         * scroll height, and only the window between them holds real rows.
+         * @param {Array} rows All rows (paging is disabled in this mode)
+         * @returns {DocumentFragment}
+         * @private
+         */
+        _renderVirtualBodyFragment(rows) {
+            var self = this;
+            var frag = document.createDocumentFragment();
+            var keys = new Array(rows.length);
+
+            // Selection (select all, getSelectedRows) must see every row, not only the window
+            rows.forEach(function (row, i) {
+                var rowKey = self._getRowKey(row, i, 'parent');
+                keys[i] = rowKey;
+                self._pageParentRowKeys.push(rowKey);
+                self._rowDataByKey[rowKey] = row;
             });
 
+            var topSpacer = this._renderVirtualSpacer();
+            var bottomSpacer = this._renderVirtualSpacer();
+            frag.appendChild(topSpacer);
+            frag.appendChild(bottomSpacer);
+
+            this._internals.virtual = {
+                rows: rows,
+                keys: keys,
+                topSpacer: topSpacer,
+                bottomSpacer: bottomSpacer,
+                rowHeight: this.virtualScroll.rowHeight,
+                rowsByIndex: new Map(),
+                start: -1,
+                end: -1
+            };
+
+            this._updateVirtualWindow();
             return frag;
         }
 
+        /**
+         * Compute the visible window from the wrapper scroll position and patch
+         * the body: rows still in the window are kept, rows that left it are
+         * recycled for the rows that entered it.
+         * @returns {boolean} true when the window changed
+         * @private
+         */
+        _updateVirtualWindow() {
+            var v = this._internals.virtual;
+            if (!v || !this.wrapper) return false;
+
+            // Measure the real row height once a rendered row is in the document
+            if (!v.rowHeight) {
+                var sample = v.rowsByIndex.values().next().value;
+                var measured = (sample && sample.isConnected) ? sample.offsetHeight : 0;
+                if (measured > 0) v.rowHeight = measured;
+            }
+
+            var rowHeight = v.rowHeight || VIRTUAL_DEFAULT_ROW_HEIGHT;
+            var total = v.rows.length;
+            var overscan = this.virtualScroll.overscan;
+            var viewport = this.wrapper.clientHeight || (typeof window !== 'undefined' ? window.innerHeight : 0) || rowHeight * 20;
+            var headerHeight = this.thead ? this.thead.offsetHeight : 0;
+            var scrollTop = Math.max(0, this.wrapper.scrollTop - headerHeight);
+
+            var visibleCount = Math.ceil(viewport / rowHeight);
+            var first = Math.min(Math.floor(scrollTop / rowHeight), Math.max(0, total - visibleCount));
+            var start = Math.max(0, first - overscan);
+            start -= start % 2; // even start keeps zebra striping stable while scrolling
+            var end = Math.min(total, first + visibleCount + overscan);
+
+            if (start === v.start && end === v.end) return false;
+
+            // Release rows that left the window
+            var free = [];
+            v.rowsByIndex.forEach(function (tr, i) {
+                if (i < start || i >= end) {
+                    free.push(tr);
+                    v.rowsByIndex.delete(i);
+                }
+            });
+
+            var columns = this._internals.visibleColumns || this.columns;
+            var prev = v.topSpacer;
+
+            // Only recycle <tr> nodes when no user hook can have put listeners or
+            // properties on them; otherwise every materialized row gets a fresh node.
+            var rowClassCfg = this.customClass && this.customClass.row;
+            var canRecycle = !(this.options && typeof this.options.createdRow === 'function') &&
+                typeof rowClassCfg !== 'function';
+
+            for (var i = start; i < end; i++) {
+                var tr = v.rowsByIndex.get(i);
+                if (!tr) {
+                    tr = this._renderDataRow(
+                        v.rows[i],
+                        i,
+                        v.keys[i],
+                        false,
+                        columns,
+                        {
+                            hasChildren: false,
+                            isExpanded: false,
+                            mergeColumnsSet: null,
+                            groupSize: 1,
+                            rowIndexInGroup: 0,
+                            groupKey: null
+                        },
+                        canRecycle ? free.pop() : null
+                    );
+                    v.rowsByIndex.set(i, tr);
+                }
+                if (prev.nextSibling !== tr) {
+                    prev.parentNode.insertBefore(tr, prev.nextSibling);
+                }
+                prev = tr;
+            }
+
+            free.forEach(function (tr) { tr.remove(); });
+
+            v.topSpacer.firstChild.style.height = (start * rowHeight) + 'px';
+            v.bottomSpacer.firstChild.style.height = ((total - end) * rowHeight) + 'px';
+            v.start = start;
+            v.end = end;
+
+            return true;
+        }
+
+        /**
+         * Wrapper scroll handler for virtual scrolling (one window update per frame).
+         * @private
+         */
+        _onVirtualScroll() {
+            if (!this._internals.virtual || this._internals.virtualScrollPending) return;
+            this._internals.virtualScrollPending = true;
+
+            const schedule = (typeof requestAnimationFrame === 'function')
+                ? requestAnimationFrame
+                : fn => setTimeout(fn, 16);
+
+            schedule(() => {
+                this._internals.virtualScrollPending = false;
+                if (!this._updateVirtualWindow()) return;
+
+                // Newly materialized rows need the same post-render treatment as a draw
+                if (this.highlight && this.highlight.enabled) this._applyHighlight();
+                this._initTooltipsInScope(this.tbody);
+                this._syncRovingTabindex();
+                this._applyFixedLayout();
+            });
+        }
+
         /**
          * Unfortunaly, the render(value) is not possible anymore
          */
@@ -3285,6 +7477,8 @@
             var autoExpand = this.childRows && this.childRows.enabled &&
                 this.childRows.startExpanded && !this._childRowsInitialized;
 
+            this._internals.virtual = null;
+
             if (rows && rows.length) {
 
                 var hasGrouping = this._hasGrouping();
@@ -3294,6 +7488,8 @@
                 if (hasGrouping) {
                     this._pageGroupRowKeyMap = {};
                     child = this._renderGroupedBodyFragment(rows, visibleColCount, autoExpand); // DocumentFragment
+                } else if (this._isVirtualScrollActive()) {
+                    child = this._renderVirtualBodyFragment(rows); // DocumentFragment
                 } else {
                     child = this._renderFlatBodyFragment(rows, autoExpand); // DocumentFragment
                 }
@@ -3307,6 +7503,11 @@
 
             this.tbody.replaceChildren(frag);
 
+            // Rows are in the document now: re-window with the measured row height
+            if (this._internals.virtual) {
+                this._updateVirtualWindow();
+            }
+
             // After first auto-expand render, avoid re-forcing expansion on future renders
             if (autoExpand) {
                 this._childRowsInitialized = true;
@@ -3331,6 +7532,15 @@
 
             // Sync row checkboxes + header checkbox with selection state
             this._syncSelectionDomAndHeader();
+
+            this._applyFixedLayout();
+
+            // Widths restored before the first render may only now be measurable (selection column)
+            if (this._internals.columnResize && !this.table.classList.contains(TINY_TABLE_CLASSES.fixedLayout)) {
+                this._renderColgroup();
+            }
+
+            this._syncRovingTabindex();
         }
 
         /**
@@ -3402,8 +7612,13 @@
         }
 
 
-        _renderDataRow(row, index, rowKey, isChild, columns, meta) {
-            const tr = _dtCreateElement('tr');
+        _renderDataRow(row, index, rowKey, isChild, columns, meta, recycledTr) {
+            const tr = recycledTr || _dtCreateElement('tr');
+            if (recycledTr) {
+                // Recycled node (virtual scrolling): drop whatever the previous row left on it
+                while (tr.attributes.length) tr.removeAttribute(tr.attributes[0].name);
+                tr.replaceChildren();
+            }
             tr.dataset.rowKey = rowKey;
             tr._data = row;
 
@@ -3411,6 +7626,7 @@
                 tr.classList.add(TINY_TABLE_CLASSES.childRow);
             } else {
                 this._rowDataByKey[rowKey] = row;  // Store row data for selection API (parents only)
+                if (this.select && this.select.enabled) tr.setAttribute('aria-selected', String(this._selectedRowKeys.has(rowKey)));
             }
 
             var visibleIndex = 0;
@@ -3545,6 +7761,13 @@
                 _dtAddClass(td,col.className)
             }
 
+            // Editable cells are focusable (Enter starts editing) and carry their column key
+            if (col.editable && !isChild) {
+                td.classList.add(TINY_TABLE_CLASSES.editableCell);
+                td.dataset.key = col.key;
+                td.tabIndex = -1;
+            }
+
             // If this column is merged and this is the first row of the group, set rowspan
             if (!isChild &&
                 mergeColsSet &&
@@ -3603,6 +7826,207 @@
             return td;
         }
 
+        // -----------------------------
+        // Keyboard navigation
+        // -----------------------------
+
+        /**
+         * Rows taking part in keyboard navigation: the header row, then the body rows
+         * (virtual scrolling spacers excluded).
+         */
+        _getNavRows() {
+            var rows = [];
+            if (this.headerRow) rows.push(this.headerRow);
+            if (this.tbody) {
+                Array.prototype.forEach.call(this.tbody.rows, function (tr) {
+                    if (!tr.classList.contains(TINY_TABLE_CLASSES.virtualSpacer)) rows.push(tr);
+                });
+            }
+            return rows;
+        }
+
+        _isNavCell(el) {
+            if (!el || (el.tagName !== 'TD' && el.tagName !== 'TH')) return false;
+            var tr = el.parentNode;
+            if (!tr) return false;
+            if (tr === this.headerRow) return true;
+            return tr.parentNode === this.tbody && !tr.classList.contains(TINY_TABLE_CLASSES.virtualSpacer);
+        }
+
+        /**
+         * Make a cell the single tab stop of the grid (roving tabindex), optionally focusing it.
+         */
+        _setActiveCell(cell, focus) {
+            if (!cell) return;
+            var prev = this._internals.activeCell;
+            if (prev && prev !== cell) prev.tabIndex = -1;
+            cell.tabIndex = 0;
+            this._internals.activeCell = cell;
+
+            var rows = this._getNavRows();
+            this._internals.activePos = { row: Math.max(0, rows.indexOf(cell.parentNode)), col: cell.cellIndex };
+
+            if (focus) cell.focus();
+        }
+
+        /**
+         * Keep exactly one tab stop after (re)renders: the active cell if still attached, else the
+         * cell at the same position (clamped), else the first header cell.
+         */
+        _syncRovingTabindex() {
+            if (!this.keyboard || !this.keyboard.enabled) return;
+            var cell = this._internals.activeCell;
+            var restoreFocus = this._internals.restoreFocus;
+            this._internals.restoreFocus = false;
+
+            if (cell && cell.isConnected && this.table.contains(cell)) {
+                if (restoreFocus) cell.focus();
+                return;
+            }
+
+            var rows = this._getNavRows();
+            if (!rows.length) return;
+            var pos = this._internals.activePos || { row: 0, col: 0 };
+            var tr = rows[Math.min(pos.row, rows.length - 1)];
+            var target = tr.cells[Math.min(pos.col, tr.cells.length - 1)] || (rows[0].cells[0]);
+            if (!target) return;
+
+            this._internals.activeCell = null;
+            this._setActiveCell(target, restoreFocus);
+        }
+
+        _onGridKeydown(e) {
+            var cell = e.target;
+            if (e.defaultPrevented || !this._isNavCell(cell)) return;
+
+            var rows = this._getNavRows();
+            var r = rows.indexOf(cell.parentNode);
+            var c = cell.cellIndex;
+            var target = null;
+            var cellIn = function (tr, col) {
+                return tr ? tr.cells[Math.max(0, Math.min(col, tr.cells.length - 1))] : null;
+            };
+
+            switch (e.key) {
+                case 'ArrowRight':
+                    target = cell.parentNode.cells[c + 1] || null;
+                    break;
+                case 'ArrowLeft':
+                    target = c > 0 ? cell.parentNode.cells[c - 1] : null;
+                    break;
+                case 'ArrowDown':
+                    target = cellIn(rows[r + 1], c);
+                    break;
+                case 'ArrowUp':
+                    target = r > 0 ? cellIn(rows[r - 1], c) : null;
+                    break;
+                case 'Home':
+                    target = e.ctrlKey ? cellIn(rows[0], 0) : cell.parentNode.cells[0];
+                    break;
+                case 'End':
+                    target = e.ctrlKey
+                        ? cellIn(rows[rows.length - 1], Infinity)
+                        : cell.parentNode.cells[cell.parentNode.cells.length - 1];
+                    break;
+                case 'PageDown':
+                case 'PageUp': {
+                    var forward = e.key === 'PageDown';
+                    if (this.paging.enabled) {
+                        e.preventDefault();
+                        var totalPages = Math.max(1, Math.ceil((this.state.totalRows || 0) / this.state.pageSize));
+                        var page = this.state.page + (forward ? 1 : -1);
+                        if (page >= 1 && page <= totalPages) {
+                            this._internals.restoreFocus = true;
+                            this.goToPage(page);
+                        }
+                        return;
+                    }
+                    var step = this.keyboard.pageRows;
+                    target = cellIn(rows[Math.max(0, Math.min(rows.length - 1, r + (forward ? step : -step)))], c);
+                    break;
+                }
+                case 'Enter':
+                case ' ':
+                case 'Spacebar':
+                    if (this._activateCell(cell, e)) e.preventDefault();
+                    return;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            if (target) this._setActiveCell(target, true);
+        }
+
+        /**
+         * Enter / Space on a cell: sort (header), toggle the select checkbox, select the row (Space)
+         * or toggle its child rows (Enter).
+         * @returns {boolean} true when the key was handled
+         */
+        _activateCell(cell, e) {
+            var tr = cell.parentNode;
+
+            if (tr === this.headerRow) {
+                if (cell === this._headerSelectCell && this._headerSelectCheckbox) {
+                    this._headerSelectCheckbox.click();
+                    return true;
+                }
+                var col = cell.dataset.key ? this._getColumn(cell.dataset.key) : null;
+                if (!col || col.sortable === false) return false;
+                this.sortBy(col.key, { append: !!e.shiftKey });
+                return true;
+            }
+
+            var checkbox = cell.querySelector('input[type="checkbox"][data-tt-select="row"]');
+            if (checkbox) {
+                checkbox.click();
+                return true;
+            }
+
+            if (tr.classList.contains(TINY_TABLE_CLASSES.groupHeaderRow) && this.grouping.collapsible && tr.dataset.groupKey) {
+                this._internals.restoreFocus = true; // the body is re-rendered
+                this.toggleGroup(tr.dataset.groupKey);
+                return true;
+            }
+
+            var rowKey = tr.dataset.rowKey;
+            if (!rowKey || tr.classList.contains(TINY_TABLE_CLASSES.childRow)) return false;
+
+            var canSelect = this.select.enabled;
+            var canToggle = this.childRows.enabled && tr.classList.contains(TINY_TABLE_CLASSES.rowHasChildren);
+            var isSpace = e.key !== 'Enter';
+
+            if (canSelect && (isSpace || !canToggle)) {
+                this._handleRowCheckboxChange(rowKey, !this._selectedRowKeys.has(rowKey), tr);
+                return true;
+            }
+            if (canToggle) {
+                this.toggleChildRows(rowKey);
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * Update the live region after a draw ("Page 2 of 5, 48 rows") when its text changed.
+         */
+        _announceDraw() {
+            if (!this.liveRegion) return;
+            var total = this.state.totalRows || 0;
+            var parts = [];
+
+            if (this.paging.enabled && total > 0) {
+                var pages = Math.max(1, Math.ceil(total / this.state.pageSize));
+                parts.push(formatText(this.texts.ariaPageInfo || 'Page {page} of {pages}', { page: this.state.page, pages: pages }));
+            }
+            parts.push(formatText(this.texts.ariaDrawInfo || '{total} rows', { total: total }));
+
+            var text = parts.join(', ');
+            if (text === this._internals.lastAnnouncement) return;
+            this._internals.lastAnnouncement = text;
+            this.liveRegion.textContent = text;
+        }
+
         _updateSortIndicators() {
             if (!this.thead) return;
 
@@ -3620,6 +8044,7 @@
 
             this.thead.querySelectorAll('th').forEach(th => {
                 th.classList.remove(TINY_TABLE_CLASSES.sortedAsc, TINY_TABLE_CLASSES.sortedDesc);
+                th.removeAttribute('aria-sort');
 
                 // Remove rank marker if previously set
                 if (th.dataset && th.dataset.sortRank) delete th.dataset.sortRank;
@@ -3630,6 +8055,7 @@
                 const info = map[key];
                 if (info) {
                     th.classList.add(info.dir === 'asc' ? TINY_TABLE_CLASSES.sortedAsc : TINY_TABLE_CLASSES.sortedDesc);
+                    th.setAttribute('aria-sort', info.dir === 'asc' ? 'ascending' : 'descending');
                     // Expose rank (1 = primary, 2+ = secondary)
                     if (hasMultiSort) {
                         th.dataset.sortRank = String(info.rank);
@@ -3640,100 +8066,73 @@
             });
         }
 
-        _getAllVisibleRowsForAggregates(pageRows) {
-            if (!this.footer?.enabled) return null;
-
-            const aggs = this.footer.aggregates;
-            const hasAggregates =
-                aggs && !Array.isArray(aggs) && typeof aggs === 'object' && Object.keys(aggs).length > 0;
-
-            if (!hasAggregates) return null;
+        /**
+         * Rows an aggregate runs over, by scope. Local sources: 'page' (rows on the current page),
+         * 'filtered' (search + filters, all pages) and 'all' (whole dataset). Ajax sources only
+         * know the page; 'filtered' / 'all' values are expected from the server.
+         * @param {string} scope
+         * @param {Array} pageRows
+         * @returns {Array|null} null when the rows are not available client-side
+         */
+        _getAggregateRows(scope, pageRows) {
+            if (scope === 'page') return Array.isArray(pageRows) ? pageRows : [];
+            if (!(this.dataSource instanceof LocalDataSource)) return null;
 
-            // Local mode: aggregate on all filtered rows (not just current page)
-            if (this.dataSource instanceof LocalDataSource &&
-                typeof this.dataSource.getFilteredRows === 'function') {
-                return this.dataSource.getFilteredRows(this.state, this.columns);
+            var cache = this._internals.aggregateRows;
+            if (!cache || cache.pageRows !== pageRows) {
+                cache = this._internals.aggregateRows = { pageRows: pageRows };
             }
-
-            // Ajax mode: fallback to current page only (unless server provides aggregates separately)
-            return Array.isArray(pageRows) ? pageRows : [];
+            if (!cache[scope]) {
+                cache[scope] = scope === 'all'
+                    ? this.dataSource.original
+                    : this.dataSource.getFilteredRows(this.state, this.columns);
+            }
+            return cache[scope];
         }
 
-
-        _updateFooterAggregates(allRows) {
+        /**
+         * Fill every footer row. Each cell is computed over the rows of its scope; in Ajax mode
+         * 'filtered' / 'all' cells use the response `aggregates` / `aggregatesAll` when present
+         * (a value, or `{ [aggregatorName]: value }` when a column has several), else the page rows.
+         * @param {Array} pageRows Rows of the current page
+         */
+        _updateFooterAggregates(pageRows) {
             const self = this;
-            if (!this.footer?.enabled || !this.footerRow) return;
-
-            const aggregates =
-                this.footer.aggregates &&
-                !Array.isArray(this.footer.aggregates) &&
-                typeof this.footer.aggregates === 'object'
-                    ? this.footer.aggregates
-                    : {};
-
-            const aggKeys = Object.keys(aggregates);
-
-            const getFooterCells = () => this.footerRow.querySelectorAll('th');
-            const getVisibleStartIndex = () => (this.select?.enabled ? 1 : 0);
-
-            const clearFooter = () => {
-                const cells = getFooterCells();
-                let idx = getVisibleStartIndex();
-
-                this.columns.forEach(col => {
-                    if (col.visible === false) return;
-                    const cell = cells[idx++];
-                    if (cell) cell.textContent = '';
-                });
-            };
-
-            const collectValuesByKey = (rows, keys) => {
-                const map = {};
-                keys.forEach(k => (map[k] = []));
+            if (!this.footer?.enabled || !this.footerRows?.length) return;
 
-                rows.forEach(row => {
-                    if (!row) return;
-                    keys.forEach(k => map[k].push(row[k]));
-                });
-
-                return map;
-            };
+            const hasOwn = (obj, k) => !!obj && Object.prototype.hasOwnProperty.call(obj, k);
 
-            const resolveAggregator = (def) => {
-                if (typeof def === 'function') return def;
-                const name = String(def);
-                return TinyDataTable.aggregators?.[name];
+            const serverValue = (item, key) => {
+                if (item.scope === 'page') return undefined;
+                const values = item.scope === 'all' ? this._internals.serverAggregatesAll : this._internals.serverAggregates;
+                if (!hasOwn(values, key)) return undefined;
+                const v = values[key];
+                if (isPlainObject(v)) return (typeof item.aggregator === 'string' && hasOwn(v, item.aggregator)) ? v[item.aggregator] : undefined;
+                return v;
             };
 
-            const computeAggregates = (valuesByKey) => {
-                const results = {};
-
-                aggKeys.forEach(k => {
-                    const fn = resolveAggregator(aggregates[k]);
-
-                    if (typeof fn !== 'function') {
-                        console.warn(
-                            'TinyDataTable: unknown footer aggregator:',
-                            aggregates[k],
-                            'for column:',
-                            k
-                        );
-                        results[k] = null;
-                        return;
-                    }
+            const computeValue = (item, key) => {
+                const fromServer = serverValue(item, key);
+                if (fromServer !== undefined) return fromServer;
 
-                    try {
-                        results[k] = fn(valuesByKey[k] || [], {
-                            key: k,
-                            rows: allRows,
-                            table: self
-                        });
-                    } catch (e) {
-                        results[k] = null;
-                    }
-                });
+                const rows = this._getAggregateRows(item.scope, pageRows) || this._getAggregateRows('page', pageRows);
+                if (!rows.length) return null;
 
-                return results;
+                const fn = _dtResolveAggregator(item.aggregator);
+                if (typeof fn !== 'function') {
+                    console.warn('TinyDataTable: unknown footer aggregator:', item.aggregator, 'for column:', key);
+                    return null;
+                }
+                try {
+                    return fn(rows.map(row => (row ? row[key] : undefined)), {
+                        key: key,
+                        rows: rows,
+                        scope: item.scope,
+                        table: self
+                    });
+                } catch (e) {
+                    return null;
+                }
             };
 
             const renderFooterCell = (col, value, cell) => {
@@ -3752,46 +8151,36 @@
                 cell.textContent = (v == null) ? '' : String(v);
             };
 
-            // ---- main flow ----
-
-            if (!aggKeys.length || !Array.isArray(allRows) || !allRows.length) {
-                clearFooter();
-                return;
-            }
-
-            // Only aggregate visible columns
-            const visibleAggKeys = aggKeys.filter(k =>
-                this.columns.some(col => col.key === k && col.visible !== false)
-            );
-
-            if (!visibleAggKeys.length) {
-                clearFooter();
-                return;
-            }
+            this.footer.rows.forEach((def, rowIndex) => {
+                const tr = this.footerRows[rowIndex];
+                if (!tr) return;
 
-            const valuesByKey = collectValuesByKey(allRows, visibleAggKeys);
-            const results = computeAggregates(valuesByKey);
+                const cells = tr.querySelectorAll('th');
+                let idx = this.select?.enabled ? 1 : 0;
+                if (idx) cells[0].textContent = '';
 
-            const cells = getFooterCells();
-            let idx = getVisibleStartIndex();
-
-            this.columns.forEach(col => {
-                if (col.visible === false) return;
+                this.columns.forEach(col => {
+                    if (col.visible === false) return;
+                    const cell = cells[idx++];
+                    if (!cell) return;
 
-                const cell = cells[idx++];
-                if (!cell) return;
+                    if (hasOwn(def.items, col.key)) {
+                        renderFooterCell(col, computeValue(def.items[col.key], col.key), cell);
+                    } else {
+                        cell.textContent = '';
+                    }
+                });
 
-                if (Object.prototype.hasOwnProperty.call(results, col.key)) {
-                    renderFooterCell(col, results[col.key], cell);
-                } else {
-                    cell.textContent = '';
+                // Row label in the first cell when it holds no aggregate (e.g. "Page total")
+                if (def.label != null && cells[0] && !cells[0].textContent) {
+                    cells[0].textContent = String(def.label);
                 }
             });
         }
 
         _applyHighlight() {
             if (!MARK_CTOR || !this.highlight.enabled) return;
-            const keyword = this.state.searchText?.trim();
+            let keyword = this.state.searchText?.trim();
             if (!keyword) return;
 
             let context = this.tbody;
@@ -3801,7 +8190,15 @@
             }
 
             const instance = new MARK_CTOR(context);
-            const markOptions = this.highlight.markOptions || {};
+            let markOptions = this.highlight.markOptions || {};
+
+            // Advanced syntax: mark each positive term (phrases as a whole), not the raw query
+            const query = this._getSearchQuery();
+            if (query) {
+                // (may be empty, e.g. only exclusions: previous marks are still removed)
+                keyword = query.terms.filter(t => !t.negate && !t.op).map(t => t.value);
+                markOptions = Object.assign({ separateWordSearch: false }, markOptions);
+            }
 
             try {
                 instance.unmark({
@@ -3917,6 +8314,12 @@
                     var key = tr.dataset.rowKey;
                     cb.checked = key && this._selectedRowKeys.has(key);
                 }
+
+                // aria-selected on every parent row (group mode only renders one checkbox per group)
+                var rowsEls = body.querySelectorAll('tr[aria-selected]');
+                for (var j = 0; j < rowsEls.length; j++) {
+                    rowsEls[j].setAttribute('aria-selected', String(this._selectedRowKeys.has(rowsEls[j].dataset.rowKey)));
+                }
             }
 
             this._updateHeaderSelectCheckboxState();
@@ -4044,6 +8447,8 @@
 
             if (opts.activeClass) btn.classList.add(opts.activeClass);
             if (opts.disabled) btn.disabled = true;
+            if (opts.ariaLabel) btn.setAttribute('aria-label', opts.ariaLabel);
+            if (opts.current) btn.setAttribute('aria-current', 'page');
 
             if (typeof opts.onClick === 'function') {
                 btn.addEventListener('click', opts.onClick);
@@ -4057,11 +8462,16 @@
             const pagination = this.pagination;
             pagination.innerHTML = '';
 
+            pagination.setAttribute('role', 'navigation');
+            pagination.setAttribute('aria-label', this.texts.ariaPagination || 'Pagination');
+
             this._btnFirst = this._createButton(this.texts.pagerFirst || '«', {
+                ariaLabel: this.texts.ariaFirstPage || 'First page',
                 onClick: () => self.onPageChange(1)
             });
 
             this._btnPrev = this._createButton(this.texts.pagerPrev || '‹', {
+                ariaLabel: this.texts.ariaPrevPage || 'Previous page',
                 onClick: () => {
                     const { page } = self.getState();
                     self.onPageChange(page - 1);
@@ -4069,6 +8479,7 @@
             });
 
             this._btnNext = this._createButton(this.texts.pagerNext || '›', {
+                ariaLabel: this.texts.ariaNextPage || 'Next page',
                 onClick: () => {
                     const { page } = self.getState();
                     self.onPageChange(page + 1);
@@ -4076,6 +8487,7 @@
             });
 
             this._btnLast = this._createButton(this.texts.pagerLast || '»', {
+                ariaLabel: this.texts.ariaLastPage || 'Last page',
                 onClick: () => {
                     const { totalPages } = self.getState();
                     self.onPageChange(totalPages);
@@ -4102,6 +8514,8 @@
 
                     slot.appendChild(self._createButton(item.number, {
                         disabled: isActive,
+                        current: isActive,
+                        ariaLabel: formatText(self.texts.ariaPage || 'Page {page}', { page: item.number }),
                         activeClass: isActive ? TINY_TABLE_CLASSES.pageButtonActive : null,
                         onClick: isActive ? null : () => self.onPageChange(item.number)
                     }));
@@ -4148,8 +8562,9 @@
          * @param {Object} options
          * @param {string|string[]} options.triggerSelector - CSS selector(s) for triggers that open this popup.
          * @param {function} options.onClick - Callback invoked on item click, (event, dataset) => {}
+         * @param {boolean} [options.closeOnClick=true] - Hide the popup after an item click.
          */
-        constructor(popupSelector, { triggerSelector, onClick }) {
+        constructor(popupSelector, { triggerSelector, onClick, closeOnClick = true }) {
             this.popup = typeof popupSelector === 'string'
                 ? document.querySelector(popupSelector)
                 : popupSelector;
@@ -4182,6 +8597,7 @@
             }
 
             this.onClick = onClick;
+            this.closeOnClick = closeOnClick;
             this.isVisible = false;
             this.boundDocClick = this.handleDocumentClick.bind(this);
 
@@ -4202,7 +8618,7 @@
                 const item = e.target.closest('li');
                 if (item && this.popup.contains(item)) {
                     this.onClick(e, item.dataset);
-                    this.hide();
+                    if (this.closeOnClick) this.hide();
                 }
             });
         }
@@ -4295,6 +8711,32 @@
         pagerLast: "»",
         pagerEllipsis: "…",
 
+        filterPlaceholder: "Filter…",
+        filterMin: "Min",
+        filterMax: "Max",
+        filterFrom: "From",
+        filterTo: "To",
+        filterAll: "All",
+        filterSelected: "{count} selected",
+        filterExists: "With value",
+        filterNotExists: "Without value",
+
+        groupRowCount: "{count} rows",
+        groupingPanelLabel: "Row grouping",
+        groupingPanelPlaceholder: "Drag a column header here to group by it",
+        groupingRemove: "Remove grouping by {column}",
+        pivotTotal: "Total",
+        pivotEmpty: "(empty)",
+
+        ariaPagination: "Pagination",
+        ariaFirstPage: "First page",
+        ariaPrevPage: "Previous page",
+        ariaNextPage: "Next page",
+        ariaLastPage: "Last page",
+        ariaPage: "Page {page}",
+        ariaPageInfo: "Page {page} of {pages}",
+        ariaDrawInfo: "{total} rows",
+
         exportButton: {
             label: (fmt) => {
                 const labels = {
@@ -4662,6 +9104,26 @@
         TinyDataTable.exporters[String(format).toLowerCase()] = exporter;
     };
 
+    /**
+     * Custom data sources selectable by name with the `dataSource` option.
+     * Constructors are called as `new Ctor(options.dataSourceOptions, table)`;
+     * `table` is (re)assigned on the instance afterwards, so subclasses of
+     * DataSource only need a constructor to read their options.
+     */
+    TinyDataTable.dataSources = {};
+
+    TinyDataTable.registerDataSource = function (name, ctor) {
+        if (!name || typeof name !== 'string') throw new Error('DataSource name must be a string');
+        if (typeof ctor !== 'function' || typeof ctor.prototype?.load !== 'function') {
+            throw new Error('DataSource must be a constructor implementing load()');
+        }
+        TinyDataTable.dataSources[name] = ctor;
+    };
+
+    // Base classes for custom sources (LocalDataSource: rows in memory, local search / sort / paging)
+    TinyDataTable.DataSource = DataSource;
+    TinyDataTable.LocalDataSource = LocalDataSource;
+
     TinyDataTable._dtCreateElement = _dtCreateElement;
     // Also expose the semantic version on the constructor itself for
     // easier access when using TinyDataTable without modules.
@@ -21,6 +21,33 @@ TinyDataTable.defaults.texts = {
     // Pager – ellipsis
     pagerEllipsis: "…",
 
+    // Filter row
+    filterPlaceholder: "Filtrer…",
+    filterMin: "Min",
+    filterMax: "Max",
+    filterFrom: "Du",
+    filterTo: "Au",
+    filterAll: "Tous",
+    filterSelected: "{count} sélectionné(s)",
+    filterExists: "Renseigné",
+    filterNotExists: "Non renseigné",
+    groupRowCount: "{count} lignes",
+    groupingPanelLabel: "Regroupement des lignes",
+    groupingPanelPlaceholder: "Glissez un en-tête de colonne ici pour regrouper",
+    groupingRemove: "Ne plus regrouper par {column}",
+    pivotTotal: "Total",
+    pivotEmpty: "(vide)",
+
+    // Accessibility (screen readers)
+    ariaPagination: "Pagination",
+    ariaFirstPage: "Première page",
+    ariaPrevPage: "Page précédente",
+    ariaNextPage: "Page suivante",
+    ariaLastPage: "Dernière page",
+    ariaPage: "Page {page}",
+    ariaPageInfo: "Page {page} sur {pages}",
+    ariaDrawInfo: "{total} lignes",
+
     exportButton: {
         label: (fmt) => {
             const labels = {
@@ -0,0 +1,122 @@
+/**
+ * Local mock server for StreamDataSource (Server-Sent Events, no dependencies).
+ *
+ *   node examples/stream-mock-server.js [--port 8787] [--interval 1000] [--drop-after 10] [--refuse 2]
+ *
+ * GET /jobs streams the messages of the `stream` demo: a snapshot on connect, then one delta per
+ * interval (progress upsert, new job upsert or finished job delete). After `drop-after` deltas the
+ * connection is closed and the next `refuse` connection attempts get a 503, so the reconnection
+ * backoff of the table shows in the log below.
+ *
+ *   new TinyDataTable('#jobs', {
+ *     columns: [{ key: 'id' }, { key: 'name' }, { key: 'status' }, { key: 'progress' }],
+ *     stream: {
+ *       url: 'http://localhost:8787/jobs',
+ *       reconnect: { delay: 500, factor: 2 },
+ *       transform: function (msg) {
+ *         if (msg.type === 'snapshot') return { snapshot: msg.jobs };
+ *         if (msg.type === 'changes') return { upsert: msg.changed, delete: msg.removedIds };
+ *         return null;
+ *       }
+ *     }
+ *   });
+ */
+'use strict';
+
+const http = require('http');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf('--' + name);
+    const value = index !== -1 ? Number(process.argv[index + 1]) : NaN;
+    return isNaN(value) ? fallback : value;
+}
+
+const port = option('port', Number(process.env.PORT) || 8787);
+const interval = option('interval', 1000);
+const dropAfter = option('drop-after', 10);
+const refuse = option('refuse', 2);
+
+const statuses = ['queued', 'running', 'done'];
+const jobs = [];
+for (let i = 1; i <= 8; i++) {
+    jobs.push({ id: 'job-' + i, name: 'Job ' + i, status: statuses[i % 3], progress: (i * 13) % 100 });
+}
+let nextJobId = jobs.length + 1;
+let refusalsLeft = 0;
+let lastAttempt = 0;
+
+// One delta: progress update (upsert), new job (upsert) or finished job removed (delete)
+function nextChange() {
+    const roll = Math.random();
+    const doneJob = jobs.find(function (j) { return j.status === 'done'; });
+
+    if (roll < 0.2 && doneJob) {
+        jobs.splice(jobs.indexOf(doneJob), 1);
+        return { type: 'changes', changed: [], removedIds: [doneJob.id] };
+    }
+    if (roll < 0.4 || !jobs.length) {
+        const added = { id: 'job-' + nextJobId, name: 'Job ' + nextJobId, status: 'queued', progress: 0 };
+        nextJobId++;
+        jobs.push(added);
+        return { type: 'changes', changed: [added], removedIds: [] };
+    }
+    const job = jobs[Math.floor(Math.random() * jobs.length)];
+    job.progress = Math.min(100, job.progress + 10);
+    job.status = job.progress === 100 ? 'done' : 'running';
+    return { type: 'changes', changed: [{ id: job.id, progress: job.progress, status: job.status }], removedIds: [] };
+}
+
+function log(message) {
+    console.log('[' + new Date().toISOString().slice(11, 23) + '] ' + message);
+}
+
+const server = http.createServer(function (req, res) {
+    const headers = { 'Access-Control-Allow-Origin': '*' };
+
+    if (req.url.split('?')[0] !== '/jobs') {
+        res.writeHead(404, headers);
+        return res.end();
+    }
+
+    const now = Date.now();
+    const since = lastAttempt ? ' (' + (now - lastAttempt) + ' ms after the previous attempt)' : '';
+    lastAttempt = now;
+
+    if (refusalsLeft > 0) {
+        refusalsLeft--;
+        log('connection refused' + since);
+        res.writeHead(503, headers);
+        return res.end();
+    }
+
+    log('connection opened' + since);
+    res.writeHead(200, Object.assign({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    }, headers));
+
+    const send = function (message) {
+        res.write('data: ' + JSON.stringify(message) + '\n\n');
+    };
+    send({ type: 'snapshot', jobs: jobs });
+
+    let sent = 0;
+    const timer = setInterval(function () {
+        send(nextChange());
+        if (dropAfter > 0 && ++sent >= dropAfter) {
+            log('dropping the connection, refusing the next ' + refuse + ' attempts');
+            refusalsLeft = refuse;
+            clearInterval(timer);
+            res.end();
+        }
+    }, interval);
+
+    req.on('close', function () {
+        clearInterval(timer);
+    });
+});
+
+server.listen(port, function () {
+    log('mock stream server on http://localhost:' + port + '/jobs');
+});